@@ -1,46 +1,346 @@
 /**
  * ADHD Clock Application
  *
- * Time Structure:
+ * Time Structure (default schedule profile, configurable in settings):
  * - 1 Part = 12 minutes (720 seconds)
  * - 1 Work Hour = 5 Parts (60 minutes)
  * - 1 Block = 5 Work Hours (5 hours)
  * - Active Workday = 3 Blocks (15 hours)
  *
  * Ring Structure:
- * - Ring 1 (outer): 5 segments - Hours
- * - Ring 2: 5 segments - Parts
+ * - Ring 1 (outer): one segment per Hour in a Block
+ * - Ring 2: one segment per Part in an Hour
  * - Ring 3 (inner): Continuous - Progress within current part
  */
 
 const STORAGE_KEY = 'adhd_bedtime';
-const ENDPOINT_STORAGE_KEY = 'adhd_focus_endpoint';
-const TOKEN_STORAGE_KEY = 'adhd_focus_token';
+const ENDPOINTS_STORAGE_KEY = 'adhd_endpoints';
+const VAULT_STORAGE_KEY = 'adhd_vault';
 const THEME_STORAGE_KEY = 'adhd_theme';
+const PROFILE_STORAGE_KEY = 'adhd_profile';
+const WEEKLY_STORAGE_KEY = 'adhd_weekly_schedule';
+const OVERRIDES_STORAGE_KEY = 'adhd_schedule_overrides';
+const ANCHOR_STORAGE_KEY = 'adhd_anchor';
+const CUSTOM_PHASES_STORAGE_KEY = 'adhd_custom_phases';
+const ACTIVE_SESSION_STORAGE_KEY = 'adhd_focus_active';
+const NOTIFICATIONS_STORAGE_KEY = 'adhd_notifications';
+const SOUND_STORAGE_KEY = 'adhd_sound';
+const WAKE_STORAGE_KEY = 'adhd_wake_time';
+const OUTBOX_STORAGE_KEY = 'adhd_focus_outbox';
+const TIME_ZONE_STORAGE_KEY = 'adhd_time_zone';
+const WEBHOOKS_STORAGE_KEY = 'adhd_webhooks';
+const TASKS_STORAGE_KEY = 'adhd_tasks';
+const FOCUS_TIMER_STORAGE_KEY = 'adhd_focus_timer';
+const SHORTCUTS_STORAGE_KEY = 'adhd_shortcuts';
+const ACCESSIBILITY_STORAGE_KEY = 'adhd_accessibility';
+const CUSTOM_THEMES_STORAGE_KEY = 'adhd_custom_themes';
+const THEME_SETTINGS_STORAGE_KEY = 'adhd_theme_settings';
+const SETTINGS_SYNC_STORAGE_KEY = 'adhd_settings_sync';
+const TEAM_STORAGE_KEY = 'adhd_team';
+const SCHEDULE_VIEW_STORAGE_KEY = 'adhd_schedule_view';
+const CHECK_INS_STORAGE_KEY = 'adhd_check_ins';
+// The single endpoint URL/token from before endpoint profiles, migrated on load
+const LEGACY_ENDPOINT_STORAGE_KEY = 'adhd_focus_endpoint';
+const LEGACY_TOKEN_STORAGE_KEY = 'adhd_focus_token';
+const LEGACY_ENDPOINT_ID = 'default';
+// Every setting key shares this prefix, which is what backups collect
+const SETTINGS_KEY_PREFIX = 'adhd_';
+const BACKUP_FORMAT = 'adhdclock-backup';
+const BACKUP_VERSION = 1;
+
 const DEFAULT_BEDTIME = '23:00';
+const DEFAULT_WAKE_TIME = '07:00';
 const DEFAULT_THEME = 'blue';
 
-// Time constants in milliseconds
-const MINUTE = 60 * 1000;
-const HOUR = 60 * MINUTE;
-
-const PART_DURATION = 12 * MINUTE;      // 12 minutes
-const WORK_HOUR_DURATION = 5 * PART_DURATION;  // 60 minutes (5 parts)
-const BLOCK_DURATION = 5 * WORK_HOUR_DURATION; // 5 hours (5 work hours)
-
-const WIND_DOWN_DURATION = 30 * MINUTE;  // 30 minutes
-const SLEEP_DURATION = 8 * HOUR;         // 8 hours
-const SET_UP_DURATION = 30 * MINUTE;     // 30 minutes
-
-// Phase identifiers
-const PHASES = {
-    SLEEP: 'sleep',
-    SET_UP: 'setup',
-    BLOCK_1: 'block1',
-    BLOCK_2: 'block2',
-    BLOCK_3: 'block3',
-    WIND_DOWN: 'winddown'
+// IndexedDB for locally recorded data
+const DB_NAME = 'adhd_clock';
+const DB_VERSION = 2;
+const SESSION_STORE = 'focus_sessions';
+const CHECK_IN_STORE = 'check_ins';
+
+// Schedule math lives in clock-core.js, shared with the tests
+const {
+    MINUTE,
+    DAY,
+    DEFAULT_PROFILE,
+    PHASES,
+    BLOCK_PHASE_PREFIX,
+    CUSTOM_PHASE_PREFIX,
+    ANCHORS,
+    WEEKDAY_NAMES,
+    getDurations,
+    validateProfile,
+    parseTime,
+    isValidTime,
+    isValidTimeZone,
+    toWallTime,
+    toDateKey,
+    addDays,
+    getWeekday,
+    blockPhase,
+    isBlockPhase,
+    isCustomPhase,
+    getPhaseRanges
+} = ClockCore;
+
+// How an endpoint profile sends its token
+const AUTH_SCHEMES = {
+    NONE: 'none',
+    BEARER: 'bearer',
+    BASIC: 'basic',
+    HEADER: 'header'
+};
+
+// Focus endpoint: protocol v2 lives under /v2, endpoints without it get the original v1 calls
+const ENDPOINT_PROTOCOL_VERSION = 2;
+const HEARTBEAT_INTERVAL = 60 * 1000;
+const POLL_INTERVAL = 30 * 1000;
+const STREAM_RETRY_DELAY = 5 * 1000;
+const MAX_STREAM_RETRY_DELAY = 5 * 60 * 1000;
+const OUTBOX_RETRY_DELAY = 5 * 1000;
+const MAX_OUTBOX_RETRY_DELAY = 5 * 60 * 1000;
+// Responses worth retrying besides server errors (timeout, rate limit)
+const RETRY_STATUSES = [408, 429];
+// Responses refusing the token: sending it again will not help, calls wait until it changes
+const TOKEN_REJECTED_STATUSES = [401, 403];
+
+// Open tabs talk over this channel, the tab holding the lock leads (see Tab Sync)
+const TAB_CHANNEL_NAME = 'adhdclock';
+const LEADER_LOCK_NAME = 'adhdclock-leader';
+
+// Settings shared between devices through the focus endpoints: the day plan, tasks and looks.
+// Endpoints, tokens, sounds, notifications and shortcuts stay with each device
+const SYNCED_SETTINGS_KEYS = [
+    STORAGE_KEY,
+    WAKE_STORAGE_KEY,
+    ANCHOR_STORAGE_KEY,
+    TIME_ZONE_STORAGE_KEY,
+    PROFILE_STORAGE_KEY,
+    WEEKLY_STORAGE_KEY,
+    OVERRIDES_STORAGE_KEY,
+    CUSTOM_PHASES_STORAGE_KEY,
+    TASKS_STORAGE_KEY,
+    FOCUS_TIMER_STORAGE_KEY,
+    THEME_STORAGE_KEY,
+    CUSTOM_THEMES_STORAGE_KEY,
+    THEME_SETTINGS_STORAGE_KEY,
+    TEAM_STORAGE_KEY
+];
+
+// Settings sync: settings revision agreed with each endpoint (by profile ID), endpoints still
+// to be sent changes made here, and when those changes were made (ms)
+const DEFAULT_SETTINGS_SYNC = {
+    enabled: false,
+    revisions: {},
+    pending: [],
+    changedAt: 0
+};
+
+// The tick scheduler wakes just after each boundary, and at least once a minute
+const TICK_SLACK = 25;
+const MAX_TICK_DELAY = MINUTE;
+
+// Transitions emitted by updateClock() for sounds, notifications and other listeners
+const SCHEDULE_EVENTS = {
+    PHASE_CHANGE: 'phaseChange',
+    BLOCK_START: 'blockStart',
+    BLOCK_END: 'blockEnd',
+    HOUR_CHANGE: 'hourChange',
+    PART_CHANGE: 'partChange',
+    WIND_DOWN_START: 'windDownStart',
+    BEFORE_BEDTIME: 'beforeBedtime',
+    BEDTIME: 'bedtime',
+    // Several boundaries passed while the page was asleep or throttled (emitted after the phase-level events)
+    CATCH_UP: 'catchUp'
+};
+
+// Notifications are opt-in; these are the events pre-selected once enabled
+const DEFAULT_NOTIFICATIONS = {
+    enabled: false,
+    events: {
+        blockStart: true,
+        blockEnd: true,
+        hourChange: false,
+        windDownStart: true,
+        beforeBedtime: false,
+        catchUp: true
+    },
+    bedtimeMinutes: 15
+};
+
+// Synthesized cue patterns - note times and durations in seconds
+const CUE_PATTERNS = {
+    beep: [
+        { frequency: 800, start: 0, duration: 0.2 }
+    ],
+    doubleBeep: [
+        { frequency: 880, start: 0, duration: 0.15 },
+        { frequency: 880, start: 0.22, duration: 0.15 }
+    ],
+    chime: [
+        { frequency: 523.25, start: 0, duration: 0.6, type: 'triangle' },
+        { frequency: 659.25, start: 0.15, duration: 0.6, type: 'triangle' },
+        { frequency: 783.99, start: 0.3, duration: 0.9, type: 'triangle' }
+    ],
+    rising: [
+        { frequency: 440, frequencyEnd: 880, start: 0, duration: 0.5 }
+    ],
+    fanfare: [
+        { frequency: 523.25, start: 0, duration: 0.12, type: 'square' },
+        { frequency: 659.25, start: 0.14, duration: 0.12, type: 'square' },
+        { frequency: 783.99, start: 0.28, duration: 0.12, type: 'square' },
+        { frequency: 1046.5, start: 0.42, duration: 0.5, type: 'square' }
+    ],
+    falling: [
+        { frequency: 660, frequencyEnd: 330, start: 0, duration: 0.7 }
+    ]
+};
+
+const CUE_PATTERN_LABELS = {
+    beep: 'Beep',
+    doubleBeep: 'Double beep',
+    chime: 'Chime',
+    rising: 'Rising tone',
+    fanfare: 'Fanfare',
+    falling: 'Falling tone'
+};
+
+// Sound cues, most important first (only the first one plays when several happen at once)
+const SOUND_CUES = {
+    windDownStart: 'Wind down',
+    blockChange: 'Block change',
+    hourChange: 'Hour change',
+    partChange: 'Part change',
+    catchUp: 'Catching up',
+    focusStart: 'Focus start',
+    focusStop: 'Focus stop',
+    focusComplete: 'Focus target reached',
+    breakEnd: 'Break over'
+};
+
+// Which cue each schedule event plays
+const SCHEDULE_EVENT_CUES = {
+    windDownStart: 'windDownStart',
+    blockStart: 'blockChange',
+    blockEnd: 'blockChange',
+    hourChange: 'hourChange',
+    partChange: 'partChange',
+    catchUp: 'catchUp'
+};
+
+const DEFAULT_SOUND = {
+    volume: 50,
+    cues: {
+        windDownStart: { enabled: true, pattern: 'falling' },
+        blockChange: { enabled: true, pattern: 'chime' },
+        hourChange: { enabled: true, pattern: 'doubleBeep' },
+        partChange: { enabled: true, pattern: 'beep' },
+        catchUp: { enabled: true, pattern: 'doubleBeep' },
+        focusStart: { enabled: true, pattern: 'rising' },
+        focusStop: { enabled: true, pattern: 'falling' },
+        focusComplete: { enabled: true, pattern: 'fanfare' },
+        breakEnd: { enabled: true, pattern: 'doubleBeep' }
+    },
+    muted: false,
+    quietHours: { enabled: false, start: '22:00', end: '07:00' }
+};
+
+// Timed focus: length in parts (0 = until stopped), optionally followed by a break part
+const DEFAULT_FOCUS_TIMER = { parts: 0, breakPart: false };
+
+// Check-ins are opt-in: a short prompt after each work hour or after each block
+const CHECK_IN_SCOPES = {
+    HOUR: 'hour',
+    BLOCK: 'block'
+};
+const DEFAULT_CHECK_INS = { enabled: false, scope: CHECK_IN_SCOPES.HOUR };
+// Questions of a check-in, each answered from 1 to CHECK_IN_SCALE
+const CHECK_IN_QUESTIONS = {
+    energy: 'Energy',
+    mood: 'Mood',
+    onTask: 'Stayed on task'
+};
+const CHECK_IN_SCALE = 5;
+
+// Screen reader announcements, from fewest to most
+const ANNOUNCE_LEVELS = {
+    off: 'Off',
+    phase: 'Phase changes',
+    hour: 'Hours and phases',
+    part: 'Parts, hours and phases'
+};
+
+// The announcement level each schedule event belongs to
+const ANNOUNCED_EVENTS = {
+    phaseChange: 'phase',
+    beforeBedtime: 'phase',
+    catchUp: 'phase',
+    hourChange: 'hour',
+    partChange: 'part'
+};
+
+const DEFAULT_ACCESSIBILITY = {
+    highContrast: false,
+    textOnly: false,
+    announce: 'part'
+};
+
+// Automatic theme switching: themes for a light/dark system color scheme (when followed),
+// and per phase ('block', 'custom' or a PHASES value), which win over everything else
+const DEFAULT_THEME_SETTINGS = {
+    followSystem: false,
+    lightTheme: 'daylight',
+    darkTheme: DEFAULT_THEME,
+    phases: {}
+};
+
+// Live region updates wait this long after clearing it (ms)
+const ANNOUNCE_DELAY = 100;
+const FOCUSABLE_SELECTOR = 'button, input, select, textarea, a[href], [tabindex]:not([tabindex="-1"])';
+
+// Actions reachable from the keyboard and the command palette, with their default keys
+// (key combinations as built by getKeyCombo(), '' = no key)
+const KEYBOARD_ACTIONS = {
+    toggleFocus: { label: 'Start / stop focus', key: 'F' },
+    toggleTasks: { label: 'Toggle tasks', key: 'T' },
+    toggleHistory: { label: 'Toggle focus history', key: 'H' },
+    toggleTeam: { label: 'Toggle team view', key: 'G' },
+    toggleTimeline: { label: 'Switch schedule list / timeline', key: 'L' },
+    toggleSettings: { label: 'Toggle settings', key: 'S' },
+    cycleTheme: { label: 'Next theme', key: 'C' },
+    toggleMute: { label: 'Mute / unmute sounds', key: 'M' },
+    showShortcuts: { label: 'Show keyboard shortcuts', key: '?' },
+    openPalette: { label: 'Command palette', key: 'Ctrl+K' }
+};
+const MAX_PALETTE_RESULTS = 12;
+const TOAST_DURATION = 2000;
+
+// Tasks offered as buttons in the focus input, and autocomplete entries
+const MAX_FOCUS_TASK_OPTIONS = 5;
+const MAX_TASK_SUGGESTIONS = 30;
+
+// How the schedule is shown below the clock
+const SCHEDULE_VIEWS = {
+    LIST: 'list',
+    TIMELINE: 'timeline'
+};
+// Time labels under the day timeline (day start and end included)
+const TIMELINE_SCALE_LABELS = 5;
+
+// Where a teammate is in their day, as shown on their team clock
+const TEAM_STATUS = {
+    FOCUSING: 'focusing',
+    BLOCK: 'block',
+    BREAK: 'break',
+    FREE: 'free',
+    WIND_DOWN: 'winddown',
+    ASLEEP: 'asleep'
 };
+// How far ahead the team view looks for times everyone is in a block
+const TEAM_PLAN_HOURS = 24;
+
+// Body sent by new webhooks unless the form says otherwise
+const DEFAULT_WEBHOOK_BODY = '{"event": "{event}", "phase": "{phase}", "bhp": "{bhp}", "task": "{task}"}';
 
 // Ring configuration (matching CSS variables)
 const CONFIG = {
@@ -59,23 +359,165 @@ let audioContext = null;
 // DOM Elements
 const elements = {
     clock: document.querySelector('.clock'),
+    clockSvg: document.querySelector('.clock-svg'),
+    clockDescription: document.querySelector('.clock-description'),
+    announcer: document.getElementById('clock-announcer'),
+    highContrastInput: document.getElementById('high-contrast-input'),
+    textOnlyInput: document.getElementById('text-only-input'),
+    announceSelect: document.getElementById('announce-select'),
+    themeStyle: document.getElementById('theme-colors'),
+    themeColorMeta: document.querySelector('meta[name="theme-color"]'),
+    themeSelector: document.querySelector('.theme-selector'),
+    themeColorInputs: document.querySelector('.theme-color-grid'),
+    themeNameInput: document.getElementById('theme-name-input'),
+    themeCodeInput: document.getElementById('theme-code-input'),
+    themeError: document.querySelector('.theme-error'),
+    themeResult: document.getElementById('theme-result'),
+    customThemeList: document.querySelector('.custom-theme-list'),
+    themeFollowSystemInput: document.getElementById('theme-follow-system'),
+    themeLightSelect: document.getElementById('theme-light-select'),
+    themeDarkSelect: document.getElementById('theme-dark-select'),
+    themePhaseSelects: document.querySelectorAll('[data-theme-phase]'),
+    simulationBanner: document.querySelector('.simulation-banner'),
     bhpTime: document.querySelector('.bhp-time'),
     bedtimeInput: document.getElementById('bedtime-input'),
-    endpointInput: document.getElementById('endpoint-input'),
+    wakeInput: document.getElementById('wake-input'),
+    timeZoneInput: document.getElementById('timezone-input'),
+    timeZoneList: document.getElementById('timezone-list'),
+    timeZoneError: document.querySelector('.timezone-error'),
+    anchorSelect: document.getElementById('anchor-select'),
+    anchorGroups: document.querySelectorAll('[data-anchor-group]'),
+    weeklyLabel: document.querySelector('.weekly-label'),
+    endpointList: document.querySelector('.endpoint-list'),
+    settingsSyncInput: document.getElementById('settings-sync-input'),
+    endpointNameInput: document.getElementById('endpoint-name-input'),
+    endpointUrlInput: document.getElementById('endpoint-url-input'),
+    endpointAuthSelect: document.getElementById('endpoint-auth-select'),
+    endpointUsernameInput: document.getElementById('endpoint-username-input'),
+    endpointHeaderInput: document.getElementById('endpoint-header-input'),
+    endpointSecretInput: document.getElementById('endpoint-secret-input'),
+    endpointError: document.querySelector('.endpoint-error'),
+    endpointResult: document.getElementById('endpoint-result'),
+    passphraseInput: document.getElementById('passphrase-input'),
+    vaultButton: document.getElementById('vault-button'),
+    vaultResetButton: document.getElementById('vault-reset'),
+    vaultStatus: document.querySelector('.vault-status'),
+    vaultError: document.querySelector('.vault-error'),
     saveButton: document.getElementById('save-settings'),
     settingsToggle: document.querySelector('.settings-toggle'),
     settingsPanel: document.querySelector('.settings-panel'),
+    installButton: document.querySelector('.install-btn'),
+    syncStatus: document.querySelector('.sync-status'),
+    syncStatusText: document.querySelector('.sync-status-text'),
+    historyToggle: document.querySelector('.history-toggle'),
+    tasksToggle: document.querySelector('.tasks-toggle'),
+    tasksPanel: document.querySelector('.tasks-panel'),
+    taskTitleInput: document.getElementById('task-title-input'),
+    taskSlotSelect: document.getElementById('task-slot-select'),
+    taskPlan: document.querySelector('.task-plan'),
+    teamToggle: document.querySelector('.team-toggle'),
+    teamPanel: document.querySelector('.team-panel'),
+    teamClocks: document.querySelector('.team-clocks'),
+    teamSharedTimes: document.querySelector('.team-shared-times'),
+    teamNameInput: document.getElementById('team-name-input'),
+    teamAnchorSelect: document.getElementById('team-anchor-select'),
+    teamTimeInput: document.getElementById('team-time-input'),
+    teamTimeZoneInput: document.getElementById('team-timezone-input'),
+    teamUrlInput: document.getElementById('team-url-input'),
+    teamError: document.querySelector('.team-error'),
+    historyPanel: document.querySelector('.history-panel'),
+    historySummary: document.querySelector('.history-summary'),
+    historyBlocks: document.querySelector('.history-blocks'),
+    historyChart: document.querySelector('.history-chart'),
+    historySessions: document.querySelector('.history-sessions'),
+    importFileInput: document.getElementById('import-file-input'),
+    backupResult: document.getElementById('backup-result'),
+    notifyEnabledInput: document.getElementById('notify-enabled'),
+    notifyEventInputs: document.querySelectorAll('[data-notify-event]'),
+    notifyBedtimeMinutesInput: document.getElementById('notify-bedtime-minutes'),
+    notificationStatus: document.getElementById('notification-status'),
+    checkInEnabledInput: document.getElementById('check-in-enabled'),
+    checkInScopeSelect: document.getElementById('check-in-scope-select'),
+    checkInOverlay: document.getElementById('check-in-overlay'),
+    checkInTitle: document.getElementById('check-in-title'),
+    checkInQuestions: document.querySelector('.check-in-questions'),
+    checkInChart: document.querySelector('.check-in-chart'),
+    checkInBlocks: document.querySelector('.check-in-blocks'),
+    volumeInput: document.getElementById('volume-input'),
+    soundCueList: document.querySelector('.sound-cue-list'),
+    quietEnabledInput: document.getElementById('quiet-enabled'),
+    quietStartInput: document.getElementById('quiet-start-input'),
+    quietEndInput: document.getElementById('quiet-end-input'),
+    soundMutedInput: document.getElementById('sound-muted'),
+    shortcutsOverlay: document.getElementById('shortcuts-overlay'),
+    shortcutList: document.querySelector('.shortcut-list'),
+    shortcutsCloseButton: document.getElementById('shortcuts-close'),
+    commandPalette: document.getElementById('command-palette'),
+    paletteInput: document.getElementById('palette-input'),
+    paletteResults: document.getElementById('palette-results'),
+    toast: document.querySelector('.toast'),
     saveFeedback: document.querySelector('.save-feedback'),
-    scheduleItems: document.querySelectorAll('.schedule-item'),
-    // SVG segments for each ring
-    hourSegments: document.querySelectorAll('.ring-hour .segment'),
-    partSegments: document.querySelectorAll('.ring-part .segment'),
+    profileInputs: document.querySelectorAll('[data-profile-field]'),
+    profileSummary: document.querySelector('.profile-summary'),
+    profileError: document.querySelector('.profile-error'),
+    weekdayInputs: document.querySelectorAll('[data-weekday]'),
+    overrideList: document.querySelector('.override-list'),
+    overrideDateInput: document.getElementById('override-date-input'),
+    overrideTimeInput: document.getElementById('override-time-input'),
+    overrideLabelInput: document.getElementById('override-label-input'),
+    customPhaseList: document.querySelector('.custom-phase-list'),
+    customNameInput: document.getElementById('custom-name-input'),
+    customStyleSelect: document.getElementById('custom-style-select'),
+    customMinutesInput: document.getElementById('custom-minutes-input'),
+    customWhenSelect: document.getElementById('custom-when-select'),
+    customTimeInput: document.getElementById('custom-time-input'),
+    customBlockInput: document.getElementById('custom-block-input'),
+    customHourInput: document.getElementById('custom-hour-input'),
+    webhookList: document.querySelector('.webhook-list'),
+    webhookNameInput: document.getElementById('webhook-name-input'),
+    webhookMethodSelect: document.getElementById('webhook-method-select'),
+    webhookUrlInput: document.getElementById('webhook-url-input'),
+    webhookTokenInput: document.getElementById('webhook-token-input'),
+    webhookHeadersInput: document.getElementById('webhook-headers-input'),
+    webhookBodyInput: document.getElementById('webhook-body-input'),
+    webhookEventInputs: document.querySelectorAll('[data-webhook-event]'),
+    webhookError: document.querySelector('.webhook-error'),
+    webhookResult: document.getElementById('webhook-result'),
+    scheduleOverview: document.querySelector('.schedule-overview'),
+    scheduleItems: [],
+    scheduleViewToggle: document.querySelector('.schedule-view-toggle'),
+    timeline: document.querySelector('.day-timeline'),
+    timelineTracks: document.querySelector('.timeline-tracks'),
+    timelinePhases: document.querySelector('.timeline-phases'),
+    timelineHours: document.querySelector('.timeline-hours'),
+    timelineParts: document.querySelector('.timeline-parts'),
+    timelineFocus: document.querySelector('.timeline-focus'),
+    timelineNow: document.querySelector('.timeline-now'),
+    timelineDetails: document.querySelector('.timeline-details'),
+    timelineScale: document.querySelector('.timeline-scale'),
+    // SVG segments for each ring (generated from the schedule profile)
+    hourRing: document.querySelector('.ring-hour'),
+    partRing: document.querySelector('.ring-part'),
+    hourSegments: [],
+    partSegments: [],
+    // Remaining time of a timed focus session, drawn over the part ring
+    focusArc: document.querySelector('.focus-arc'),
     progressBg: document.querySelector('.ring-progress .segment-bg'),
     progressFill: document.querySelector('.ring-progress .segment-fill'),
     // Focus elements
     centerDisplay: document.getElementById('center-display'),
     focusInputContainer: document.getElementById('focus-input-container'),
     focusTaskInput: document.getElementById('focus-task-input'),
+    focusTaskOptions: document.querySelector('.focus-task-options'),
+    focusTaskSuggestions: document.getElementById('focus-task-suggestions'),
+    focusPartsSelect: document.getElementById('focus-parts-select'),
+    focusBreakInput: document.getElementById('focus-break-input'),
+    focusStopContainer: document.getElementById('focus-stop-container'),
+    focusStopTask: document.getElementById('focus-stop-task'),
+    focusDoneBtn: document.getElementById('focus-done-btn'),
+    focusStopBtn: document.getElementById('focus-stop-btn'),
+    focusKeepBtn: document.getElementById('focus-keep-btn'),
+    plannedTaskText: document.getElementById('planned-task-text'),
     focusStartBtn: document.getElementById('focus-start-btn'),
     focusCancelBtn: document.getElementById('focus-cancel-btn'),
     focusTaskText: document.getElementById('focus-task-text')
@@ -83,41 +525,134 @@ const elements = {
 
 // Application state
 let state = {
+    anchor: ANCHORS.BEDTIME,
     bedtime: DEFAULT_BEDTIME,
-    endpointUrl: '',
-    accessToken: '',
+    wakeTime: DEFAULT_WAKE_TIME,
+    // IANA time zone the schedule follows, '' = this device's zone
+    timeZone: '',
+    profile: { ...DEFAULT_PROFILE },
+    // Bedtime/wake time per weekday (0 = Sunday), falls back to the defaults when unset
+    weeklySchedule: {},
+    // One-off schedules keyed by date (YYYY-MM-DD), same shape as weekday entries plus a label
+    scheduleOverrides: {},
+    // Named breaks, either at a fixed time ({ time }) or after a work hour ({ block, hour })
+    customPhases: [],
+    notifications: { ...DEFAULT_NOTIFICATIONS, events: { ...DEFAULT_NOTIFICATIONS.events } },
+    sound: JSON.parse(JSON.stringify(DEFAULT_SOUND)),
+    // Outgoing requests on schedule events ({ id, name, method, url, token, headers, body, events })
+    webhooks: [],
+    // Focus endpoints ({ id, name, url, enabled, auth, username, headerName, token }),
+    // start/stop go to every enabled one; tokens are encrypted with the vault key
+    endpoints: [],
+    // Start/stop calls not yet delivered, oldest first ({ endpointId, type, session })
+    endpointOutbox: [],
+    settingsSync: { ...DEFAULT_SETTINGS_SYNC, revisions: {}, pending: [] },
+    // Theme picked in the selector (built-in or custom ID)
     theme: DEFAULT_THEME,
+    // Themes made in the editor or imported ({ id, name, colors }, see themes.js)
+    customThemes: [],
+    themeSettings: { ...DEFAULT_THEME_SETTINGS, phases: {} },
+    // Schedule overview below the clock (see SCHEDULE_VIEWS)
+    scheduleView: SCHEDULE_VIEWS.LIST,
     currentPhase: null,
     milestones: {},
-    // Track previous segment values for beep detection
-    previousPart: null,
-    previousHour: null,
+    // Schedule position at the previous tick, for transition events (sounds, notifications)
+    lastTick: null,
+    // Planned and unplanned tasks ({ id, title, date, block, hour, done, doneDate }),
+    // block/hour place the task in the day's plan for date
+    tasks: [],
+    // Teammates shown in the team view ({ id, name, anchor, time, timeZone, url }),
+    // each on this schedule profile with their own bedtime or wake time
+    team: [],
     // Focus state
     isFocusing: false,
-    focusTask: ''
+    focusTask: '',
+    // Running session for the history log ({ sessionId, task, taskId, start, bhpStart, phase },
+    // plus { targetParts, targetEnd, breakParts } when timed)
+    focusSession: null,
+    accessibility: { ...DEFAULT_ACCESSIBILITY },
+    // Key of each keyboard action (see KEYBOARD_ACTIONS)
+    shortcuts: getDefaultShortcuts(),
+    // Length last picked for focus sessions (see DEFAULT_FOCUS_TIMER)
+    focusTimer: { ...DEFAULT_FOCUS_TIMER },
+    // Break after a completed timed session ({ end }), null otherwise
+    focusBreak: null,
+    checkIns: { ...DEFAULT_CHECK_INS }
 };
 
 /**
  * Initialize the application
  */
 function init() {
+    simulation = parseSimulation(location.search);
+    // Inputs that are filled once, whatever the settings
+    fillTimeZoneList();
+    renderThemeEditor();
+    elements.webhookBodyInput.value = DEFAULT_WEBHOOK_BODY;
     loadSettings();
     initializeRings();
     initializeAudio();
+    // With several tabs open, only one plays sounds, notifies and calls webhooks
+    onScheduleEvent(leaderOnly(handleSoundEvent));
+    onScheduleEvent(leaderOnly(handleNotificationEvent));
+    onScheduleEvent(leaderOnly(handleWebhookEvent));
+    onScheduleEvent(handleAnnouncementEvent);
+    // Every tab asks, answering in one closes the others
+    onScheduleEvent(handleCheckInEvent);
     calculateMilestones();
+    loadTasks();
+    pruneTasks();
+    renderTaskList();
+    loadTeam();
     updateScheduleDisplay();
     updateClock();
-    checkFocusState();
+    restoreFocusSession();
+    loadOutbox();
+    startTabSync();
+    connectEndpoints();
+    registerServiceWorker();
 
-    // Start the clock update interval
-    setInterval(updateClock, 1000);
+    // Tick at each boundary, animate the progress ring while visible
+    startTicking();
 
     // Setup event listeners
     elements.settingsToggle.addEventListener('click', toggleSettings);
+    elements.historyToggle.addEventListener('click', toggleHistory);
+    elements.tasksToggle.addEventListener('click', toggleTasks);
+    elements.teamToggle.addEventListener('click', toggleTeam);
+    elements.scheduleViewToggle.addEventListener('click', toggleTimeline);
+    elements.timelineTracks.addEventListener('mousemove', showTimelineDetails);
+    elements.timelineTracks.addEventListener('mouseleave', () => elements.timelineDetails.classList.add('hidden'));
+    document.getElementById('add-team-member').addEventListener('click', addTeamMember);
+    document.getElementById('add-task').addEventListener('click', addTask);
+    elements.taskTitleInput.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') addTask();
+    });
     elements.saveButton.addEventListener('click', saveSettings);
     elements.bedtimeInput.addEventListener('keypress', (e) => {
         if (e.key === 'Enter') saveSettings();
     });
+    elements.wakeInput.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') saveSettings();
+    });
+    elements.anchorSelect.addEventListener('change', () => {
+        updateAnchorInputs(elements.anchorSelect.value);
+    });
+    elements.profileInputs.forEach(input => {
+        input.addEventListener('input', updateProfileSummary);
+    });
+    document.getElementById('add-override').addEventListener('click', addScheduleOverride);
+    document.getElementById('add-custom-phase').addEventListener('click', addCustomPhase);
+    document.getElementById('add-webhook').addEventListener('click', addWebhook);
+    document.getElementById('add-endpoint').addEventListener('click', addEndpoint);
+    elements.endpointAuthSelect.addEventListener('change', updateEndpointAuthInputs);
+    elements.settingsSyncInput.addEventListener('change', () => setSettingsSync(elements.settingsSyncInput.checked));
+    elements.vaultButton.addEventListener('click', handleVaultButton);
+    elements.vaultResetButton.addEventListener('click', resetVault);
+    elements.passphraseInput.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') handleVaultButton();
+    });
+    elements.customWhenSelect.addEventListener('change', updateCustomWhenInputs);
 
     // Focus event listeners - center circle is the button
     elements.centerDisplay.addEventListener('click', handleCenterClick);
@@ -132,19 +667,92 @@ function init() {
     elements.focusTaskInput.addEventListener('keydown', (e) => {
         if (e.key === 'Escape') hideFocusInput();
     });
+    elements.focusDoneBtn.addEventListener('click', () => stopFocus(true));
+    elements.focusStopBtn.addEventListener('click', () => stopFocus());
+    elements.focusKeepBtn.addEventListener('click', hideStopPrompt);
+    renderCheckInQuestions();
+    document.getElementById('check-in-save').addEventListener('click', saveCheckIn);
+    document.getElementById('check-in-skip').addEventListener('click', skipCheckIn);
+    elements.checkInOverlay.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') skipCheckIn();
+    });
+    elements.focusStopContainer.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') hideStopPrompt();
+    });
 
-    // Theme selector event listeners
-    const themeBtns = document.querySelectorAll('.theme-btn');
-    themeBtns.forEach(btn => {
-        btn.addEventListener('click', (e) => {
-            e.preventDefault();
-            e.stopPropagation();
-            setTheme(btn.dataset.theme);
-        });
+    // Dialogs and the settings panel keep keyboard focus inside
+    [
+        elements.focusInputContainer,
+        elements.focusStopContainer,
+        elements.settingsPanel,
+        elements.shortcutsOverlay,
+        elements.commandPalette,
+        elements.checkInOverlay
+    ].forEach(container => {
+        container.addEventListener('keydown', (e) => trapFocus(e, container));
+    });
+    elements.settingsPanel.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') toggleSettings();
+    });
+
+    // Follow system contrast and motion preferences as they change
+    contrastQuery.addEventListener('change', applyAccessibility);
+    darkSchemeQuery.addEventListener('change', () => applyTheme());
+    reducedMotionQuery.addEventListener('change', () => {
+        stopProgressAnimation();
+        startProgressAnimation();
+    });
+
+    // Keyboard shortcuts, the shortcuts overlay and the command palette
+    // (capturing, so a key being remapped never reaches other handlers)
+    document.addEventListener('keydown', handleShortcutKey, true);
+    document.getElementById('show-shortcuts').addEventListener('click', showShortcuts);
+    document.getElementById('shortcuts-reset').addEventListener('click', resetShortcuts);
+    elements.shortcutsCloseButton.addEventListener('click', hideShortcuts);
+    elements.shortcutsOverlay.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') hideShortcuts();
+    });
+    elements.paletteInput.addEventListener('input', () => {
+        paletteSelection = 0;
+        renderPaletteResults();
+    });
+    elements.paletteInput.addEventListener('keydown', handlePaletteKey);
+    // A click on the backdrop closes the overlays
+    elements.shortcutsOverlay.addEventListener('click', (e) => {
+        if (e.target === elements.shortcutsOverlay) hideShortcuts();
+    });
+    elements.commandPalette.addEventListener('click', (e) => {
+        if (e.target === elements.commandPalette) closePalette();
     });
 
-    // Test endpoint button
-    document.getElementById('test-endpoint').addEventListener('click', testEndpoint);
+    // Theme editor (selector buttons are wired up by renderThemeSelector)
+    document.getElementById('save-theme').addEventListener('click', saveThemeFromEditor);
+    document.getElementById('import-theme').addEventListener('click', importTheme);
+
+    // Retry waiting endpoint calls as soon as the network is back, or on demand
+    window.addEventListener('online', flushOutbox);
+    elements.syncStatus.addEventListener('click', () => {
+        // Locked tokens can only be fixed in the settings
+        if (getActiveEndpoints().some(isTokenLocked)) {
+            elements.settingsPanel.classList.remove('hidden');
+            elements.passphraseInput.focus();
+            return;
+        }
+        flushOutbox();
+        checkFocusState();
+    });
+
+    // Export / import buttons
+    document.getElementById('export-backup').addEventListener('click', exportBackup);
+    document.getElementById('export-csv').addEventListener('click', exportSessionsCsv);
+    document.getElementById('export-check-ins').addEventListener('click', exportCheckInsCsv);
+    document.getElementById('export-ics').addEventListener('click', exportScheduleIcs);
+    document.getElementById('import-backup').addEventListener('click', () => elements.importFileInput.click());
+    elements.importFileInput.addEventListener('change', () => {
+        const file = elements.importFileInput.files[0];
+        elements.importFileInput.value = '';
+        if (file) importBackup(file);
+    });
 }
 
 /**
@@ -152,7 +760,7 @@ function init() {
  */
 function handleCenterClick() {
     if (state.isFocusing) {
-        stopFocus();
+        showStopPrompt();
     } else {
         showFocusInput();
     }
@@ -171,29 +779,99 @@ function initializeAudio() {
 }
 
 /**
- * Play a gentle beep sound
+ * Play a synthesized cue pattern at the given master volume (0-100)
  */
-function playBeep() {
+function playPattern(patternName, volume) {
+    const pattern = CUE_PATTERNS[patternName];
+    if (!pattern || volume <= 0) return;
+
     if (!audioContext) {
         audioContext = new (window.AudioContext || window.webkitAudioContext)();
     }
 
-    const oscillator = audioContext.createOscillator();
-    const gainNode = audioContext.createGain();
+    // Volume 50 matches the original 0.1 peak gain
+    const peak = 0.2 * (volume / 100);
+    const startTime = audioContext.currentTime;
+
+    pattern.forEach(note => {
+        const oscillator = audioContext.createOscillator();
+        const gainNode = audioContext.createGain();
+
+        oscillator.connect(gainNode);
+        gainNode.connect(audioContext.destination);
+
+        const noteStart = startTime + note.start;
+        const noteEnd = noteStart + note.duration;
+
+        oscillator.type = note.type || 'sine';
+        oscillator.frequency.setValueAtTime(note.frequency, noteStart);
+        if (note.frequencyEnd) {
+            oscillator.frequency.exponentialRampToValueAtTime(note.frequencyEnd, noteEnd);
+        }
+
+        // Gentle fade in and out
+        gainNode.gain.setValueAtTime(0, noteStart);
+        gainNode.gain.linearRampToValueAtTime(peak, noteStart + Math.min(0.05, note.duration / 4));
+        gainNode.gain.linearRampToValueAtTime(0, noteEnd);
+
+        oscillator.start(noteStart);
+        oscillator.stop(noteEnd);
+    });
+}
+
+/**
+ * Play the cue for an event unless it is muted or it is quiet hours
+ */
+function playSoundCue(cue, now = getNow()) {
+    const settings = state.sound.cues[cue];
+    if (!settings || !settings.enabled || state.sound.muted || isQuietTime(now)) return;
+
+    playPattern(settings.pattern, state.sound.volume);
+}
+
+/**
+ * Check whether a time falls in the quiet hours (which may span midnight)
+ */
+function isQuietTime(now) {
+    const { enabled, start, end } = state.sound.quietHours;
+    if (!enabled || start === end) return false;
+
+    const toMinutes = (timeStr) => {
+        const { hours, minutes } = parseTime(timeStr);
+        return hours * 60 + minutes;
+    };
+    const current = Math.floor((toWallTime(now, state.timeZone) % DAY) / MINUTE);
+    const startMinutes = toMinutes(start);
+    const endMinutes = toMinutes(end);
 
-    oscillator.connect(gainNode);
-    gainNode.connect(audioContext.destination);
+    if (startMinutes < endMinutes) {
+        return current >= startMinutes && current < endMinutes;
+    }
+    return current >= startMinutes || current < endMinutes;
+}
 
-    oscillator.frequency.value = 800; // Gentle high frequency
-    oscillator.type = 'sine';
+// Cue chosen during the current tick - transitions can emit several events at once
+let pendingCue = null;
 
-    // Gentle fade in and out
-    gainNode.gain.setValueAtTime(0, audioContext.currentTime);
-    gainNode.gain.linearRampToValueAtTime(0.1, audioContext.currentTime + 0.05);
-    gainNode.gain.linearRampToValueAtTime(0, audioContext.currentTime + 0.2);
+/**
+ * Pick the most important cue among the schedule events of one tick
+ * After a catch-up its cue stands for the missed hours and parts, while block changes and wind down keep their own
+ */
+function handleSoundEvent(type) {
+    const cue = SCHEDULE_EVENT_CUES[type];
+    if (!cue) return;
 
-    oscillator.start(audioContext.currentTime);
-    oscillator.stop(audioContext.currentTime + 0.2);
+    const priority = Object.keys(SOUND_CUES);
+    if (pendingCue === null) {
+        queueMicrotask(() => {
+            const played = pendingCue;
+            pendingCue = null;
+            playSoundCue(played);
+        });
+        pendingCue = cue;
+    } else if (priority.indexOf(cue) < priority.indexOf(pendingCue)) {
+        pendingCue = cue;
+    }
 }
 
 /**
@@ -221,14 +899,19 @@ function calculateRadii() {
 function initializeRings() {
     const radii = calculateRadii();
     const { ringWidth, segmentGap, opacityStep } = CONFIG;
+    const { hoursPerBlock, partsPerHour } = state.profile;
 
-    // Ring 1 (Hour - outer): 5 segments - full opacity
-    setupSegmentedRing(elements.hourSegments, radii[0], 5, segmentGap, ringWidth);
+    elements.hourSegments = createSegments(elements.hourRing, hoursPerBlock);
+    elements.partSegments = createSegments(elements.partRing, partsPerHour);
+
+    // Ring 1 (Hour - outer): one segment per hour - full opacity
+    setupSegmentedRing(elements.hourSegments, radii[0], hoursPerBlock, segmentGap, ringWidth);
     elements.hourSegments.forEach(s => s.style.opacity = 1);
 
-    // Ring 2 (Part - middle): 5 segments - medium opacity
-    setupSegmentedRing(elements.partSegments, radii[1], 5, segmentGap, ringWidth);
+    // Ring 2 (Part - middle): one segment per part - medium opacity
+    setupSegmentedRing(elements.partSegments, radii[1], partsPerHour, segmentGap, ringWidth);
     elements.partSegments.forEach(s => s.style.opacity = 1 - opacityStep);
+    setupFocusArc(elements.focusArc, radii[1], partsPerHour, segmentGap);
 
     // Ring 3 (Progress - inner): Continuous - lowest opacity
     setupContinuousRing(elements.progressBg, elements.progressFill, radii[2], ringWidth);
@@ -238,6 +921,25 @@ function initializeRings() {
 
 }
 
+/**
+ * Replace the segment circles of a ring group with a fresh set
+ */
+function createSegments(ringGroup, count) {
+    const { center } = CONFIG;
+    ringGroup.querySelectorAll('.segment').forEach(s => s.remove());
+
+    const segments = [];
+    for (let i = 0; i < count; i++) {
+        const segment = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+        segment.setAttribute('class', `segment segment-${i + 1}`);
+        segment.setAttribute('cx', center);
+        segment.setAttribute('cy', center);
+        ringGroup.appendChild(segment);
+        segments.push(segment);
+    }
+    return segments;
+}
+
 /**
  * Setup a segmented ring with gaps
  * Gap is specified in SVG units (pixels) and converted to arc length for each ring
@@ -296,39 +998,254 @@ function setupContinuousRing(bgElement, fillElement, radius, strokeWidth) {
     fillElement.dataset.gapOffset = gapOffset;
 }
 
+/**
+ * Setup the focus arc over a segmented ring, storing the segment layout for updateFocusArc()
+ */
+function setupFocusArc(arcElement, radius, segmentCount, gapLength) {
+    const circumference = 2 * Math.PI * radius;
+
+    arcElement.setAttribute('r', radius);
+    arcElement.dataset.circumference = circumference;
+    arcElement.dataset.segmentLength = (circumference - gapLength * segmentCount) / segmentCount;
+    arcElement.dataset.gapLength = gapLength;
+}
+
 /**
  * Load settings from localStorage
+ * Given the keys another tab saved, only those settings and their inputs are refreshed,
+ * so what is being edited here is left alone
  */
-function loadSettings() {
+function loadSettings(keys = null) {
+    const changed = (...settingKeys) => !keys || settingKeys.some(key => keys.includes(key));
     const savedBedtime = localStorage.getItem(STORAGE_KEY);
-    const savedEndpoint = localStorage.getItem(ENDPOINT_STORAGE_KEY);
-    const savedToken = localStorage.getItem(TOKEN_STORAGE_KEY);
     const savedTheme = localStorage.getItem(THEME_STORAGE_KEY);
+    const savedProfile = localStorage.getItem(PROFILE_STORAGE_KEY);
+    const savedWeekly = localStorage.getItem(WEEKLY_STORAGE_KEY);
+    const savedAnchor = localStorage.getItem(ANCHOR_STORAGE_KEY);
+    const savedWake = localStorage.getItem(WAKE_STORAGE_KEY);
+    const savedTimeZone = localStorage.getItem(TIME_ZONE_STORAGE_KEY);
+    const savedOverrides = localStorage.getItem(OVERRIDES_STORAGE_KEY);
+    const savedCustomPhases = localStorage.getItem(CUSTOM_PHASES_STORAGE_KEY);
+    const savedNotifications = localStorage.getItem(NOTIFICATIONS_STORAGE_KEY);
+    const savedSound = localStorage.getItem(SOUND_STORAGE_KEY);
+    const savedWebhooks = localStorage.getItem(WEBHOOKS_STORAGE_KEY);
+    const savedFocusTimer = localStorage.getItem(FOCUS_TIMER_STORAGE_KEY);
+    const savedAccessibility = localStorage.getItem(ACCESSIBILITY_STORAGE_KEY);
+    const savedSettingsSync = localStorage.getItem(SETTINGS_SYNC_STORAGE_KEY);
+    const savedScheduleView = localStorage.getItem(SCHEDULE_VIEW_STORAGE_KEY);
+    const savedCheckIns = localStorage.getItem(CHECK_INS_STORAGE_KEY);
 
-    if (savedBedtime) {
+    if (savedBedtime && changed(STORAGE_KEY)) {
         state.bedtime = savedBedtime;
-    } else {
+    } else if (!keys) {
         elements.settingsPanel.classList.remove('hidden');
     }
 
-    if (savedEndpoint) {
-        state.endpointUrl = savedEndpoint;
+    if (savedTheme && changed(THEME_STORAGE_KEY)) {
+        state.theme = savedTheme;
+    }
+
+    if (savedProfile && changed(PROFILE_STORAGE_KEY)) {
+        try {
+            const profile = { ...DEFAULT_PROFILE, ...JSON.parse(savedProfile) };
+            if (!validateProfile(profile)) {
+                state.profile = profile;
+            }
+        } catch (error) {
+            console.error('Failed to load schedule profile:', error);
+        }
+    }
+
+    if (savedAnchor && changed(ANCHOR_STORAGE_KEY)) {
+        state.anchor = savedAnchor === ANCHORS.WAKE ? ANCHORS.WAKE : ANCHORS.BEDTIME;
     }
 
-    if (savedToken) {
-        state.accessToken = savedToken;
+    if (savedWake && changed(WAKE_STORAGE_KEY)) {
+        state.wakeTime = savedWake;
     }
 
-    if (savedTheme) {
-        state.theme = savedTheme;
+    // '' follows this device
+    if (changed(TIME_ZONE_STORAGE_KEY) && (savedTimeZone === '' || (savedTimeZone && isValidTimeZone(savedTimeZone)))) {
+        state.timeZone = savedTimeZone;
+    }
+
+    if (savedWeekly && changed(WEEKLY_STORAGE_KEY)) {
+        try {
+            state.weeklySchedule = JSON.parse(savedWeekly);
+            // Weekday entries used to be plain bedtime strings
+            Object.keys(state.weeklySchedule).forEach(weekday => {
+                if (typeof state.weeklySchedule[weekday] === 'string') {
+                    state.weeklySchedule[weekday] = { bedtime: state.weeklySchedule[weekday] };
+                }
+            });
+        } catch (error) {
+            console.error('Failed to load weekly schedule:', error);
+        }
+    }
+
+    if (savedOverrides && changed(OVERRIDES_STORAGE_KEY)) {
+        try {
+            state.scheduleOverrides = JSON.parse(savedOverrides);
+            pruneScheduleOverrides();
+        } catch (error) {
+            console.error('Failed to load schedule overrides:', error);
+        }
+    }
+
+    if (savedCustomPhases && changed(CUSTOM_PHASES_STORAGE_KEY)) {
+        try {
+            state.customPhases = JSON.parse(savedCustomPhases);
+        } catch (error) {
+            console.error('Failed to load custom phases:', error);
+        }
+    }
+
+    if (savedNotifications && changed(NOTIFICATIONS_STORAGE_KEY)) {
+        try {
+            const notifications = JSON.parse(savedNotifications);
+            state.notifications = {
+                ...DEFAULT_NOTIFICATIONS,
+                ...notifications,
+                events: { ...DEFAULT_NOTIFICATIONS.events, ...notifications.events }
+            };
+        } catch (error) {
+            console.error('Failed to load notification settings:', error);
+        }
+    }
+
+    if (savedSound && changed(SOUND_STORAGE_KEY)) {
+        try {
+            const sound = JSON.parse(savedSound);
+            Object.keys(SOUND_CUES).forEach(cue => {
+                state.sound.cues[cue] = { ...DEFAULT_SOUND.cues[cue], ...(sound.cues && sound.cues[cue]) };
+            });
+            state.sound.volume = typeof sound.volume === 'number' ? sound.volume : DEFAULT_SOUND.volume;
+            state.sound.muted = Boolean(sound.muted);
+            state.sound.quietHours = { ...DEFAULT_SOUND.quietHours, ...sound.quietHours };
+        } catch (error) {
+            console.error('Failed to load sound settings:', error);
+        }
+    }
+
+    if (savedWebhooks && changed(WEBHOOKS_STORAGE_KEY)) {
+        try {
+            state.webhooks = JSON.parse(savedWebhooks);
+        } catch (error) {
+            console.error('Failed to load webhooks:', error);
+        }
+    }
+
+    if (savedFocusTimer && changed(FOCUS_TIMER_STORAGE_KEY)) {
+        try {
+            state.focusTimer = { ...DEFAULT_FOCUS_TIMER, ...JSON.parse(savedFocusTimer) };
+        } catch (error) {
+            console.error('Failed to load focus timer:', error);
+        }
+    }
+
+    if (savedAccessibility && changed(ACCESSIBILITY_STORAGE_KEY)) {
+        try {
+            state.accessibility = { ...DEFAULT_ACCESSIBILITY, ...JSON.parse(savedAccessibility) };
+        } catch (error) {
+            console.error('Failed to load accessibility settings:', error);
+        }
+    }
+
+    if (savedSettingsSync && changed(SETTINGS_SYNC_STORAGE_KEY)) {
+        try {
+            state.settingsSync = { ...DEFAULT_SETTINGS_SYNC, ...JSON.parse(savedSettingsSync) };
+        } catch (error) {
+            console.error('Failed to load settings sync state:', error);
+        }
+    }
+
+    if (savedCheckIns && changed(CHECK_INS_STORAGE_KEY)) {
+        try {
+            state.checkIns = { ...DEFAULT_CHECK_INS, ...JSON.parse(savedCheckIns) };
+        } catch (error) {
+            console.error('Failed to load check-in settings:', error);
+        }
+    }
+
+    if (changed(SCHEDULE_VIEW_STORAGE_KEY)) {
+        state.scheduleView = savedScheduleView === SCHEDULE_VIEWS.TIMELINE ? savedScheduleView : SCHEDULE_VIEWS.LIST;
     }
 
-    elements.bedtimeInput.value = state.bedtime;
-    elements.endpointInput.value = state.endpointUrl;
-    document.getElementById('token-input').value = state.accessToken;
+    if (changed(ENDPOINTS_STORAGE_KEY)) {
+        loadEndpoints();
+    }
+    if (changed(ENDPOINTS_STORAGE_KEY, WEBHOOKS_STORAGE_KEY)) {
+        loadPlainTokens();
+    }
+    if (changed(SHORTCUTS_STORAGE_KEY)) {
+        loadShortcuts();
+    }
 
-    // Apply saved theme
-    setTheme(state.theme, false);
+    if (changed(STORAGE_KEY)) {
+        elements.bedtimeInput.value = state.bedtime;
+    }
+    if (changed(WAKE_STORAGE_KEY)) {
+        elements.wakeInput.value = state.wakeTime;
+    }
+    if (changed(ANCHOR_STORAGE_KEY)) {
+        elements.anchorSelect.value = state.anchor;
+    }
+    if (changed(TIME_ZONE_STORAGE_KEY)) {
+        elements.timeZoneInput.value = state.timeZone;
+    }
+    if (changed(PROFILE_STORAGE_KEY)) {
+        fillProfileInputs(state.profile);
+        updateCustomWhenInputs();
+    }
+    if (changed(ANCHOR_STORAGE_KEY, WEEKLY_STORAGE_KEY)) {
+        updateAnchorInputs(state.anchor);
+    }
+    if (changed(OVERRIDES_STORAGE_KEY)) {
+        renderOverrideList();
+    }
+    if (changed(CUSTOM_PHASES_STORAGE_KEY)) {
+        renderCustomPhaseList();
+    }
+    if (changed(NOTIFICATIONS_STORAGE_KEY)) {
+        fillNotificationInputs();
+    }
+    if (changed(CHECK_INS_STORAGE_KEY)) {
+        elements.checkInEnabledInput.checked = state.checkIns.enabled;
+        elements.checkInScopeSelect.value = state.checkIns.scope;
+    }
+    if (changed(SOUND_STORAGE_KEY)) {
+        renderSoundInputs();
+    }
+    if (changed(WEBHOOKS_STORAGE_KEY)) {
+        renderWebhookList();
+    }
+    if (changed(ENDPOINTS_STORAGE_KEY)) {
+        renderEndpointList();
+    }
+    if (changed(SETTINGS_SYNC_STORAGE_KEY)) {
+        elements.settingsSyncInput.checked = state.settingsSync.enabled;
+    }
+    if (changed(ENDPOINTS_STORAGE_KEY, WEBHOOKS_STORAGE_KEY, VAULT_STORAGE_KEY)) {
+        updateVaultStatus();
+    }
+    if (changed(ACCESSIBILITY_STORAGE_KEY)) {
+        fillAccessibilityInputs();
+        applyAccessibility();
+    }
+    if (changed(CUSTOM_THEMES_STORAGE_KEY, THEME_SETTINGS_STORAGE_KEY)) {
+        loadThemes();
+        renderThemeSelector();
+        renderCustomThemeList();
+    }
+    if (changed(THEME_STORAGE_KEY, CUSTOM_THEMES_STORAGE_KEY)) {
+        // Apply saved theme
+        setTheme(state.theme, false);
+    } else if (changed(THEME_SETTINGS_STORAGE_KEY)) {
+        applyTheme();
+    }
+    if (changed(SCHEDULE_VIEW_STORAGE_KEY)) {
+        applyScheduleView();
+    }
 }
 
 /**
@@ -336,23 +1253,98 @@ function loadSettings() {
  */
 function saveSettings() {
     const newBedtime = elements.bedtimeInput.value;
-    const newEndpoint = elements.endpointInput.value;
-    const newToken = document.getElementById('token-input').value;
+    const newWake = elements.wakeInput.value;
+    const newAnchor = elements.anchorSelect.value;
+    const newTimeZone = elements.timeZoneInput.value.trim();
+    const newProfile = readProfileInputs();
+
+    const profileError = validateProfile(newProfile);
+    if (profileError) {
+        elements.profileError.textContent = profileError;
+        elements.profileError.classList.remove('hidden');
+        return;
+    }
+    elements.profileError.classList.add('hidden');
+
+    if (newTimeZone && !isValidTimeZone(newTimeZone)) {
+        elements.timeZoneError.textContent = `Unknown time zone "${newTimeZone}"`;
+        elements.timeZoneError.classList.remove('hidden');
+        return;
+    }
+    elements.timeZoneError.classList.add('hidden');
+
+    const profileChanged = JSON.stringify(newProfile) !== JSON.stringify(state.profile);
+    if (profileChanged) {
+        state.profile = newProfile;
+        storeSetting(PROFILE_STORAGE_KEY, JSON.stringify(newProfile));
+
+        // Segment counts may have changed - rebuild rings and reset transition tracking
+        initializeRings();
+        state.lastTick = null;
+    }
 
     if (newBedtime) {
         state.bedtime = newBedtime;
-        localStorage.setItem(STORAGE_KEY, newBedtime);
+        storeSetting(STORAGE_KEY, newBedtime);
+    }
 
-        calculateMilestones();
-        updateScheduleDisplay();
-        updateClock();
+    if (newWake) {
+        state.wakeTime = newWake;
+        storeSetting(WAKE_STORAGE_KEY, newWake);
     }
 
-    state.endpointUrl = newEndpoint;
-    localStorage.setItem(ENDPOINT_STORAGE_KEY, newEndpoint);
+    state.anchor = newAnchor;
+    storeSetting(ANCHOR_STORAGE_KEY, newAnchor);
+
+    state.timeZone = newTimeZone;
+    storeSetting(TIME_ZONE_STORAGE_KEY, newTimeZone);
+
+    // Weekday inputs edit the active anchor's times, the other anchor's times are kept
+    elements.weekdayInputs.forEach(input => {
+        const weekday = input.dataset.weekday;
+        const entry = { ...state.weeklySchedule[weekday] };
+        if (input.value) {
+            entry[newAnchor] = input.value;
+        } else {
+            delete entry[newAnchor];
+        }
+
+        if (Object.keys(entry).length) {
+            state.weeklySchedule[weekday] = entry;
+        } else {
+            delete state.weeklySchedule[weekday];
+        }
+    });
+    storeSetting(WEEKLY_STORAGE_KEY, JSON.stringify(state.weeklySchedule));
+
+    calculateMilestones();
+    updateScheduleDisplay();
+    updateClock();
+
+    state.sound = readSoundInputs();
+    storeSetting(SOUND_STORAGE_KEY, JSON.stringify(state.sound));
+
+    state.accessibility = readAccessibilityInputs();
+    storeSetting(ACCESSIBILITY_STORAGE_KEY, JSON.stringify(state.accessibility));
+    applyAccessibility();
 
-    state.accessToken = newToken;
-    localStorage.setItem(TOKEN_STORAGE_KEY, newToken);
+    state.themeSettings = readThemeSettingsInputs();
+    storeSetting(THEME_SETTINGS_STORAGE_KEY, JSON.stringify(state.themeSettings));
+    applyTheme();
+
+    state.checkIns = {
+        enabled: elements.checkInEnabledInput.checked,
+        scope: elements.checkInScopeSelect.value
+    };
+    storeSetting(CHECK_INS_STORAGE_KEY, JSON.stringify(state.checkIns));
+
+    state.notifications = readNotificationInputs();
+    storeSetting(NOTIFICATIONS_STORAGE_KEY, JSON.stringify(state.notifications));
+    if (state.notifications.enabled) {
+        requestNotificationPermission();
+    } else {
+        updateNotificationStatus();
+    }
 
     elements.saveFeedback.classList.remove('hidden');
     setTimeout(() => {
@@ -360,301 +1352,525 @@ function saveSettings() {
     }, 2000);
 }
 
+// ==================== Schedule Profile ====================
+
 /**
- * Get headers for API requests
+ * Fill the profile editor inputs from a profile
  */
-function getApiHeaders() {
-    const headers = { 'Content-Type': 'application/json' };
-    if (state.accessToken) {
-        headers['Authorization'] = `Bearer ${state.accessToken}`;
-    }
-    return headers;
+function fillProfileInputs(profile) {
+    elements.profileInputs.forEach(input => {
+        input.value = profile[input.dataset.profileField];
+    });
+    updateProfileSummary();
 }
 
 /**
- * Test endpoint connection
+ * Read a profile from the profile editor inputs
  */
-async function testEndpoint() {
-    const testBtn = document.getElementById('test-endpoint');
-    const testResult = document.getElementById('test-result');
-    const endpointUrl = elements.endpointInput.value;
+function readProfileInputs() {
+    const profile = { ...state.profile };
+    elements.profileInputs.forEach(input => {
+        profile[input.dataset.profileField] = Number(input.value);
+    });
+    return profile;
+}
 
-    if (!endpointUrl) {
-        testResult.textContent = 'Please enter an endpoint URL';
-        testResult.className = 'test-result error';
+/**
+ * Show what the profile editor values add up to
+ */
+function updateProfileSummary() {
+    const profile = readProfileInputs();
+    const error = validateProfile(profile);
+
+    if (error) {
+        elements.profileSummary.textContent = error;
         return;
     }
 
-    testBtn.disabled = true;
-    testBtn.textContent = 'Testing...';
-    testResult.classList.add('hidden');
-
-    try {
-        const response = await fetch(`${endpointUrl}/getState`, {
-            method: 'GET',
-            headers: getApiHeaders()
-        });
-
-        if (response.ok) {
-            const data = await response.json();
-            testResult.textContent = `Connected! Status: ${data.focused ? 'Focusing' : 'Not focusing'}`;
-            testResult.className = 'test-result success';
-        } else {
-            testResult.textContent = `Error: ${response.status} ${response.statusText}`;
-            testResult.className = 'test-result error';
-        }
-    } catch (error) {
-        testResult.textContent = `Connection failed: ${error.message}`;
-        testResult.className = 'test-result error';
-    }
+    const d = getDurations(profile);
+    const workMinutes = d.block * profile.blockCount / MINUTE;
+    const freeMinutes = (DAY - d.sleep - d.setUp - d.block * profile.blockCount - d.windDown) / MINUTE;
 
-    testBtn.disabled = false;
-    testBtn.textContent = 'Test Endpoint';
+    elements.profileSummary.textContent =
+        `Hour = ${formatMinutes(d.workHour / MINUTE)}, block = ${formatMinutes(d.block / MINUTE)}, ` +
+        `work = ${formatMinutes(workMinutes)}, free = ${formatMinutes(freeMinutes)}`;
 }
 
 /**
- * Toggle settings panel visibility
+ * Format a number of minutes as e.g. "1h 30m"
  */
-function toggleSettings() {
-    elements.settingsPanel.classList.toggle('hidden');
+function formatMinutes(totalMinutes) {
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    if (!hours) return `${minutes}m`;
+    return minutes ? `${hours}h ${minutes}m` : `${hours}h`;
 }
 
+// ==================== Day Schedules ====================
+
 /**
- * Parse time string (HH:MM) to hours and minutes
+ * Pick the schedule for a calendar day: dated override, then weekday, then default
  */
-function parseTime(timeStr) {
-    const [hours, minutes] = timeStr.split(':').map(Number);
-    return { hours, minutes };
+function getScheduleForDate(key) {
+    return ClockCore.getScheduleForDate(state, key);
 }
 
 /**
- * Calculate all milestone times based on bedtime
+ * Suggest the browser's time zone names for the time zone setting
  */
-function calculateMilestones() {
-    const now = new Date();
-    const { hours: bedHour, minutes: bedMin } = parseTime(state.bedtime);
+function fillTimeZoneList() {
+    elements.timeZoneInput.placeholder = `This device (${Intl.DateTimeFormat().resolvedOptions().timeZone})`;
 
-    let bedtime = new Date(now);
-    bedtime.setHours(bedHour, bedMin, 0, 0);
+    // Older browsers cannot list zones, typing a name still works
+    if (!Intl.supportedValuesOf) return;
 
-    let recentBedtime = new Date(bedtime);
-    if (now < bedtime) {
-        recentBedtime.setDate(recentBedtime.getDate() - 1);
+    Intl.supportedValuesOf('timeZone').forEach(timeZone => {
+        const option = document.createElement('option');
+        option.value = timeZone;
+        elements.timeZoneList.appendChild(option);
+    });
+}
+
+/**
+ * Switch the settings inputs between bedtime and wake time anchoring
+ */
+function updateAnchorInputs(anchor) {
+    const anchorName = anchor === ANCHORS.WAKE ? 'wake time' : 'bedtime';
+
+    elements.anchorGroups.forEach(group => {
+        group.classList.toggle('hidden', group.dataset.anchorGroup !== anchor);
+    });
+    elements.weeklyLabel.textContent = `Weekly Schedule (${anchorName}, blank = default)`;
+    elements.overrideTimeInput.setAttribute('aria-label', `Override ${anchorName}`);
+
+    elements.weekdayInputs.forEach(input => {
+        const entry = state.weeklySchedule[input.dataset.weekday];
+        input.value = (entry && entry[anchor]) || '';
+    });
+}
+
+/**
+ * Add a one-off schedule for a date from the override form
+ */
+function addScheduleOverride() {
+    const date = elements.overrideDateInput.value;
+    const time = elements.overrideTimeInput.value;
+    const label = elements.overrideLabelInput.value.trim();
+    const anchor = elements.anchorSelect.value;
+
+    if (!date || !time) {
+        (date ? elements.overrideTimeInput : elements.overrideDateInput).focus();
+        return;
+    }
+
+    const override = { ...state.scheduleOverrides[date], [anchor]: time };
+    if (label) {
+        override.label = label;
     }
+    state.scheduleOverrides[date] = override;
+    saveScheduleOverrides();
+
+    elements.overrideDateInput.value = '';
+    elements.overrideTimeInput.value = '';
+    elements.overrideLabelInput.value = '';
+}
 
-    const milestones = {};
+/**
+ * Remove the one-off schedule for a date
+ */
+function removeScheduleOverride(date) {
+    delete state.scheduleOverrides[date];
+    saveScheduleOverrides();
+}
 
-    milestones.windDownStart = new Date(recentBedtime.getTime() - WIND_DOWN_DURATION);
-    milestones.sleepStart = new Date(recentBedtime);
-    milestones.sleepEnd = new Date(recentBedtime.getTime() + SLEEP_DURATION);
-    milestones.setUpStart = new Date(milestones.sleepEnd);
-    milestones.setUpEnd = new Date(milestones.sleepEnd.getTime() + SET_UP_DURATION);
-    milestones.block1Start = new Date(milestones.setUpEnd);
-    milestones.block1End = new Date(milestones.block1Start.getTime() + BLOCK_DURATION);
-    milestones.block2Start = new Date(milestones.block1End);
-    milestones.block2End = new Date(milestones.block2Start.getTime() + BLOCK_DURATION);
-    milestones.block3Start = new Date(milestones.block2End);
-    milestones.block3End = new Date(milestones.block3Start.getTime() + BLOCK_DURATION);
-    milestones.windDownEnd = new Date(recentBedtime.getTime() + 24 * HOUR);
+/**
+ * Persist overrides and refresh everything that depends on them
+ */
+function saveScheduleOverrides() {
+    storeSetting(OVERRIDES_STORAGE_KEY, JSON.stringify(state.scheduleOverrides));
+    renderOverrideList();
 
-    state.milestones = milestones;
+    calculateMilestones();
+    updateScheduleDisplay();
+    updateClock();
 }
 
 /**
- * Determine the current phase based on current time
+ * Drop overrides for days that have already ended
  */
-function getCurrentPhase(now) {
-    const m = state.milestones;
-    const time = now.getTime();
+function pruneScheduleOverrides() {
+    const yesterday = addDays(toDateKey(getNow(), state.timeZone), -1);
+    Object.keys(state.scheduleOverrides).forEach(date => {
+        if (date < yesterday) {
+            delete state.scheduleOverrides[date];
+        }
+    });
+}
+
+/**
+ * Render the list of upcoming overrides in the settings panel
+ */
+function renderOverrideList() {
+    elements.overrideList.innerHTML = '';
+
+    Object.keys(state.scheduleOverrides).sort().forEach(date => {
+        const override = state.scheduleOverrides[date];
+        const item = document.createElement('li');
+
+        const parts = [date];
+        if (override.bedtime) parts.push(`bed ${override.bedtime}`);
+        if (override.wake) parts.push(`wake ${override.wake}`);
+        if (override.label) parts.push(override.label);
+
+        const text = document.createElement('span');
+        text.textContent = parts.join(' · ');
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'btn-remove';
+        removeBtn.textContent = '×';
+        removeBtn.setAttribute('aria-label', `Remove override for ${date}`);
+        removeBtn.addEventListener('click', () => removeScheduleOverride(date));
+
+        item.append(text, removeBtn);
+        elements.overrideList.appendChild(item);
+    });
+}
+
+// ==================== Custom Phases ====================
+
+/**
+ * Add a named phase from the custom phase form
+ */
+function addCustomPhase() {
+    const name = elements.customNameInput.value.trim();
+    const minutes = Number(elements.customMinutesInput.value);
 
-    if (time >= m.sleepStart.getTime() && time < m.sleepEnd.getTime()) {
-        return PHASES.SLEEP;
-    } else if (time >= m.setUpStart.getTime() && time < m.setUpEnd.getTime()) {
-        return PHASES.SET_UP;
-    } else if (time >= m.block1Start.getTime() && time < m.block1End.getTime()) {
-        return PHASES.BLOCK_1;
-    } else if (time >= m.block2Start.getTime() && time < m.block2End.getTime()) {
-        return PHASES.BLOCK_2;
-    } else if (time >= m.block3Start.getTime() && time < m.block3End.getTime()) {
-        return PHASES.BLOCK_3;
-    } else if (time >= m.windDownStart.getTime() && time < m.sleepStart.getTime()) {
-        return PHASES.WIND_DOWN;
+    if (!name) {
+        elements.customNameInput.focus();
+        return;
+    }
+    if (!Number.isInteger(minutes) || minutes < 1) {
+        elements.customMinutesInput.focus();
+        return;
+    }
+
+    const def = {
+        id: Date.now().toString(36),
+        name,
+        style: elements.customStyleSelect.value,
+        minutes
+    };
+
+    if (elements.customWhenSelect.value === 'time') {
+        if (!elements.customTimeInput.value) {
+            elements.customTimeInput.focus();
+            return;
+        }
+        def.time = elements.customTimeInput.value;
     } else {
-        calculateMilestones();
-        return getCurrentPhase(now);
+        def.block = Number(elements.customBlockInput.value);
+        def.hour = Number(elements.customHourInput.value);
+        if (def.block < 1 || def.block > state.profile.blockCount) {
+            elements.customBlockInput.focus();
+            return;
+        }
+        if (def.hour < 1 || def.hour > state.profile.hoursPerBlock) {
+            elements.customHourInput.focus();
+            return;
+        }
     }
+
+    state.customPhases.push(def);
+    saveCustomPhases();
+
+    elements.customNameInput.value = '';
 }
 
 /**
- * Calculate B-H-P values for a given time within a block
+ * Remove a custom phase definition
+ */
+function removeCustomPhase(id) {
+    state.customPhases = state.customPhases.filter(def => def.id !== id);
+    saveCustomPhases();
+}
+
+/**
+ * Persist custom phases and refresh everything that depends on them
  */
-function calculateBHP(now, blockStart, blockNumber) {
-    const elapsed = now.getTime() - blockStart.getTime();
+function saveCustomPhases() {
+    storeSetting(CUSTOM_PHASES_STORAGE_KEY, JSON.stringify(state.customPhases));
+    renderCustomPhaseList();
 
-    // Calculate Part (1-5)
-    const totalParts = Math.floor(elapsed / PART_DURATION);
-    const part = (totalParts % 5) + 1;
+    calculateMilestones();
+    updateScheduleDisplay();
+    updateClock();
+}
 
-    // Calculate Hour (1-5)
-    const totalHours = Math.floor(elapsed / WORK_HOUR_DURATION);
-    const hour = (totalHours % 5) + 1;
+/**
+ * Describe when a custom phase happens
+ */
+function describeCustomPhaseTiming(def) {
+    if (def.time) {
+        return `at ${def.time}`;
+    }
+    if (def.hour >= state.profile.hoursPerBlock) {
+        return `after block ${def.block}`;
+    }
+    return `after ${def.block}-${def.hour}`;
+}
 
-    // Progress within current part (0-1) - updated every second
-    const partProgress = (elapsed % PART_DURATION) / PART_DURATION;
+/**
+ * Render the custom phase list in the settings panel
+ */
+function renderCustomPhaseList() {
+    elements.customPhaseList.innerHTML = '';
 
-    // Completed parts in this hour (0-4)
-    const completedParts = totalParts % 5;
+    state.customPhases.forEach(def => {
+        const item = document.createElement('li');
 
-    // Completed hours in this block (0-4)
-    const completedHours = totalHours % 5;
+        const text = document.createElement('span');
+        text.textContent = `${def.name} · ${def.minutes} min ${describeCustomPhaseTiming(def)}`;
+        text.dataset.customStyle = def.style;
+        text.className = 'custom-phase-name';
 
-    // Completed blocks (0-2)
-    const completedBlocks = blockNumber - 1;
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'btn-remove';
+        removeBtn.textContent = '×';
+        removeBtn.setAttribute('aria-label', `Remove ${def.name}`);
+        removeBtn.addEventListener('click', () => removeCustomPhase(def.id));
 
-    return {
-        block: blockNumber,
-        hour,
-        part,
-        partProgress,
-        completedParts,
-        completedHours,
-        completedBlocks
-    };
+        item.append(text, removeBtn);
+        elements.customPhaseList.appendChild(item);
+    });
+}
+
+/**
+ * Show the time input or the block/hour inputs depending on how the phase is placed
+ */
+function updateCustomWhenInputs() {
+    const atTime = elements.customWhenSelect.value === 'time';
+    elements.customTimeInput.classList.toggle('hidden', !atTime);
+    elements.customBlockInput.classList.toggle('hidden', atTime);
+    elements.customHourInput.classList.toggle('hidden', atTime);
+    elements.customBlockInput.max = state.profile.blockCount;
+    elements.customHourInput.max = state.profile.hoursPerBlock;
+}
+
+/**
+ * Toggle settings panel visibility
+ */
+function toggleSettings() {
+    elements.settingsPanel.classList.toggle('hidden');
+    elements.historyPanel.classList.add('hidden');
+    elements.tasksPanel.classList.add('hidden');
+    hideTeam();
+
+    if (!elements.settingsPanel.classList.contains('hidden')) {
+        elements.settingsPanel.querySelector(FOCUSABLE_SELECTOR).focus();
+    } else {
+        // Drop any unsaved theme editor preview
+        applyTheme(true);
+        if (elements.settingsPanel.contains(document.activeElement)) {
+            elements.settingsToggle.focus();
+        }
+    }
+}
+
+/**
+ * Calculate all milestone times for the day containing a given time
+ */
+function calculateMilestones(now = getNow()) {
+    state.milestones = ClockCore.calculateMilestones(state, now);
+}
+
+/**
+ * Find the time range of a phase in the current milestones
+ */
+function getPhaseRange(phase) {
+    return getPhaseRanges(state.milestones).find(range => range.phase === phase);
+}
+
+/**
+ * Determine the current phase based on current time
+ */
+function getCurrentPhase(now) {
+    const time = now.getTime();
+
+    if (time < state.milestones.sleepStart.getTime() || time >= state.milestones.windDownEnd.getTime()) {
+        calculateMilestones(now);
+    }
+
+    return ClockCore.getRangeAt(state.milestones, now).phase;
+}
+
+/**
+ * Calculate B-H-P values for a given time within a block
+ */
+function calculateBHP(now, block) {
+    return ClockCore.calculateBHP(state.profile, now, block);
 }
 
 /**
  * Update the clock display
  */
 function updateClock() {
-    const now = new Date();
+    const now = getNow();
 
     if (!state.milestones.sleepStart) {
-        calculateMilestones();
+        calculateMilestones(now);
     }
 
+    const dayStart = state.milestones.sleepStart;
     const phase = getCurrentPhase(now);
     state.currentPhase = phase;
 
+    // A new day has started - refresh the schedule overview times
+    if (state.milestones.sleepStart !== dayStart) {
+        updateScheduleDisplay();
+    }
+
     updateScheduleHighlight(phase);
+    applyTheme();
 
-    if (phase.startsWith('block')) {
+    if (isBlockPhase(phase)) {
         updateBlockDisplay(now, phase);
+    } else if (isCustomPhase(phase)) {
+        updateCustomPhaseDisplay(now, phase);
     } else {
         updateNonActiveDisplay(now, phase);
     }
+
+    updateSimulationBanner(now);
+    updateClockDescription(now, phase);
+    detectScheduleEvents(now, phase);
+    checkFocusTimer(now);
+    updateFocusArc(now);
+    updatePlannedTask();
+    updateTimelineNow(now);
+    updateTeamClocks(now);
+    scheduleNextTick(now);
 }
 
 /**
  * Update display for active block phases
  */
 function updateBlockDisplay(now, phase) {
-    elements.clock.classList.remove('non-active');
-
-    let blockStart, blockNumber;
-
-    switch (phase) {
-        case PHASES.BLOCK_1:
-            blockStart = state.milestones.block1Start;
-            blockNumber = 1;
-            break;
-        case PHASES.BLOCK_2:
-            blockStart = state.milestones.block2Start;
-            blockNumber = 2;
-            break;
-        case PHASES.BLOCK_3:
-            blockStart = state.milestones.block3Start;
-            blockNumber = 3;
-            break;
-    }
+    setClockMode('active');
 
-    const bhp = calculateBHP(now, blockStart, blockNumber);
+    const block = state.milestones.blocks.find(b => blockPhase(b.number) === phase);
+    const bhp = calculateBHP(now, block);
 
     // Update B-H-P display
     elements.bhpTime.textContent = `${bhp.block}-${bhp.hour}-${bhp.part}`;
 
-    // Check for segment transitions and play beep
-    if (state.previousPart !== null && state.previousHour !== null) {
-        if (bhp.part !== state.previousPart || bhp.hour !== state.previousHour) {
-            playBeep();
-        }
-    }
-    state.previousPart = bhp.part;
-    state.previousHour = bhp.hour;
+    updateSegments(bhp);
 
-    // Ring 1: Hour segments (fill completed + current)
-    elements.hourSegments.forEach((segment, i) => {
-        if (i <= bhp.completedHours) {
-            segment.classList.add('filled');
-        } else {
-            segment.classList.remove('filled');
-        }
-    });
+    // Ring 3: Progress arc within current part
+    updateProgressRing(bhp.partProgress);
+}
 
-    // Ring 2: Part segments (fill completed + current)
-    elements.partSegments.forEach((segment, i) => {
-        if (i <= bhp.completedParts) {
-            segment.classList.add('filled');
-        } else {
-            segment.classList.remove('filled');
-        }
-    });
+/**
+ * Progress (0-1) shown in the innermost ring for a phase: the current part in blocks,
+ * the phase itself otherwise
+ */
+function getPhaseProgress(now, phase) {
+    let progress;
+    if (isBlockPhase(phase)) {
+        const block = state.milestones.blocks.find(b => blockPhase(b.number) === phase);
+        progress = calculateBHP(now, block).partProgress;
+    } else {
+        progress = getRangeProgress(now, getPhaseRange(phase));
+    }
 
-    // Ring 3: Progress arc within current part
-    const arcLength = parseFloat(elements.progressFill.dataset.arcLength);
-    const gapOffset = parseFloat(elements.progressFill.dataset.gapOffset);
-    const filledLength = arcLength * bhp.partProgress;
-    elements.progressFill.style.strokeDasharray = `${filledLength} ${arcLength * 2}`;
-    elements.progressFill.style.strokeDashoffset = gapOffset;
+    // Between a boundary and the tick that follows it
+    return Math.min(Math.max(progress, 0), 1);
 }
 
 /**
- * Update display for non-active phases (Sleep, Set Up, Wind Down)
+ * Update display for custom phases (breaks, commutes...)
+ * Inside a block the hour and part rings hold where work paused
  */
-function updateNonActiveDisplay(now, phase) {
-    elements.clock.classList.add('non-active');
+function updateCustomPhaseDisplay(now, phase) {
+    const range = getPhaseRange(phase);
+    setClockMode('custom', range.style);
 
-    let phaseStart, phaseEnd, text;
+    elements.bhpTime.textContent = range.label;
 
-    switch (phase) {
-        case PHASES.SLEEP:
-            phaseStart = state.milestones.sleepStart;
-            phaseEnd = state.milestones.sleepEnd;
-            text = 'Sleep';
-            break;
-        case PHASES.SET_UP:
-            phaseStart = state.milestones.setUpStart;
-            phaseEnd = state.milestones.setUpEnd;
-            text = 'Set Up';
-            break;
-        case PHASES.WIND_DOWN:
-            phaseStart = state.milestones.windDownStart;
-            phaseEnd = state.milestones.sleepStart;
-            text = 'Wind Down';
-            break;
+    const block = range.block && state.milestones.blocks.find(b => b.number === range.block);
+    if (block) {
+        updateSegments(calculateBHP(range.start, block));
+    } else {
+        updateSegments(null);
     }
 
-    // Calculate remaining time
-    const remaining = phaseEnd.getTime() - now.getTime();
-    const remainingMinutes = Math.ceil(remaining / MINUTE);
+    updateProgressRing(getRangeProgress(now, range));
+}
+
+/**
+ * Update display for non-active phases (Sleep, Set Up, Free Time, Wind Down)
+ */
+function updateNonActiveDisplay(now, phase) {
+    setClockMode('non-active');
 
     // Hide center content during non-active phases
     elements.bhpTime.textContent = '';
 
-    // Reset segment tracking for non-active phases
-    state.previousPart = null;
-    state.previousHour = null;
-
     // Clear all segments
-    elements.hourSegments.forEach(s => s.classList.remove('filled'));
-    elements.partSegments.forEach(s => s.classList.remove('filled'));
+    updateSegments(null);
 
     // Show progress in innermost ring for non-active phases
-    const progress = (now.getTime() - phaseStart.getTime()) / (phaseEnd.getTime() - phaseStart.getTime());
-    const arcLength = parseFloat(elements.progressFill.dataset.arcLength);
-    const gapOffset = parseFloat(elements.progressFill.dataset.gapOffset);
-    const filledLength = arcLength * progress;
-    elements.progressFill.style.strokeDasharray = `${filledLength} ${arcLength * 2}`;
-    elements.progressFill.style.strokeDashoffset = gapOffset;
+    updateProgressRing(getRangeProgress(now, getPhaseRange(phase)));
+}
+
+/**
+ * Switch the clock between active, non-active and custom phase styling
+ */
+function setClockMode(mode, customStyle) {
+    elements.clock.classList.toggle('non-active', mode === 'non-active');
+    elements.clock.classList.toggle('custom-phase', mode === 'custom');
+
+    if (mode === 'custom') {
+        elements.clock.dataset.customStyle = customStyle;
+    } else {
+        delete elements.clock.dataset.customStyle;
+    }
+}
+
+/**
+ * Fill hour and part segments (completed + current), or clear them when bhp is null
+ */
+function updateSegments(bhp) {
+    // Ring 1: Hour segments
+    elements.hourSegments.forEach((segment, i) => {
+        segment.classList.toggle('filled', bhp !== null && i <= bhp.completedHours);
+    });
+
+    // Ring 2: Part segments
+    elements.partSegments.forEach((segment, i) => {
+        segment.classList.toggle('filled', bhp !== null && i <= bhp.completedParts);
+    });
+}
+
+/**
+ * Set the innermost progress arc (0-1), of the main clock unless another fill is given
+ */
+function updateProgressRing(progress, fillElement = elements.progressFill) {
+    const arcLength = parseFloat(fillElement.dataset.arcLength);
+    const gapOffset = parseFloat(fillElement.dataset.gapOffset);
+    const dashArray = `${(arcLength * progress).toFixed(2)} ${arcLength * 2}`;
+
+    // Called every animation frame, so only touch the DOM when the arc visibly changes
+    if (fillElement.style.strokeDasharray !== dashArray) {
+        fillElement.style.strokeDasharray = dashArray;
+        fillElement.style.strokeDashoffset = gapOffset;
+    }
+}
+
+/**
+ * Fraction of a phase range that has passed
+ */
+function getRangeProgress(now, range) {
+    return (now.getTime() - range.start.getTime()) / (range.end.getTime() - range.start.getTime());
 }
 
 /**
@@ -670,158 +1886,5111 @@ function updateScheduleHighlight(phase) {
 }
 
 /**
- * Update schedule times display
+ * Rebuild the schedule overview from the current milestones
+ * Sleep is listed last, as the night that closes the day
  */
 function updateScheduleDisplay() {
-    const m = state.milestones;
+    const ranges = getPhaseRanges(state.milestones);
+    const dayRanges = ranges.filter(r => r.phase !== PHASES.SLEEP);
+    const sleepRange = ranges.find(r => r.phase === PHASES.SLEEP);
+    if (sleepRange) {
+        dayRanges.push(sleepRange);
+    }
+
+    elements.scheduleOverview.innerHTML = '';
+
+    const source = document.createElement('div');
+    source.className = `schedule-source ${state.milestones.schedule.source}`;
+    source.textContent = `${describeSchedule(state.milestones.schedule)} · ` +
+        `wake ${formatTime(state.milestones.sleepEnd)} · bedtime ${formatTime(state.milestones.windDownEnd)}`;
+    elements.scheduleOverview.appendChild(source);
+
+    const change = state.milestones.offsetChange;
+    if (change) {
+        const note = document.createElement('div');
+        note.className = 'schedule-source schedule-dst';
+        note.textContent = describeOffsetChange(change);
+        elements.scheduleOverview.appendChild(note);
+    }
+
+    elements.scheduleItems = dayRanges.map(range => {
+        const item = document.createElement('div');
+        item.className = 'schedule-item';
+        item.dataset.phase = range.phase;
+        if (range.custom) {
+            item.classList.add('custom');
+            item.dataset.customStyle = range.style;
+        }
+
+        const label = document.createElement('span');
+        label.className = 'schedule-label';
+        label.textContent = range.label;
+
+        const time = document.createElement('span');
+        time.className = `schedule-time ${range.phase}-time`;
+        time.textContent = `${formatTime(range.start)} - ${formatTime(range.end)}`;
 
-    document.querySelector('.setup-time').textContent =
-        `${formatTime(m.setUpStart)} - ${formatTime(m.setUpEnd)}`;
-    document.querySelector('.block1-time').textContent =
-        `${formatTime(m.block1Start)} - ${formatTime(m.block1End)}`;
-    document.querySelector('.block2-time').textContent =
-        `${formatTime(m.block2Start)} - ${formatTime(m.block2End)}`;
-    document.querySelector('.block3-time').textContent =
-        `${formatTime(m.block3Start)} - ${formatTime(m.block3End)}`;
-    document.querySelector('.winddown-time').textContent =
-        `${formatTime(m.windDownStart)} - ${formatTime(m.sleepStart)}`;
-    document.querySelector('.sleep-time').textContent =
-        `${formatTime(m.sleepStart)} - ${formatTime(m.sleepEnd)}`;
+        item.append(label, time);
+        elements.scheduleOverview.appendChild(item);
+        return item;
+    });
+
+    if (state.currentPhase) {
+        updateScheduleHighlight(state.currentPhase);
+    }
+    renderTimeline();
+}
+
+/**
+ * Describe which schedule a day is using
+ */
+function describeSchedule(schedule) {
+    switch (schedule.source) {
+        case 'override':
+            return `Today: ${schedule.label} (one-off)`;
+        case 'weekday':
+            return `Today: ${schedule.label} schedule`;
+        default:
+            return 'Today: default schedule';
+    }
 }
 
 /**
- * Format date to HH:MM string
+ * Describe a DST change, e.g. "Clocks go forward 1h at 02:00 (to 03:00) · the night is 1h shorter"
  */
-function formatTime(date) {
+function describeOffsetChange(change) {
+    const direction = change.minutes > 0 ? 'forward' : 'back';
+    const size = formatMinutes(Math.abs(change.minutes));
+    const night = change.minutes > 0 ? 'shorter' : 'longer';
+    const duringSleep = change.time < state.milestones.sleepEnd;
+
+    return `Clocks go ${direction} ${size} at ${change.from} (to ${change.to})` +
+        (duringSleep ? ` · the night is ${size} ${night}` : '');
+}
+
+/**
+ * Format date to HH:MM string, in the schedule's time zone unless another is given
+ */
+function formatTime(date, timeZone = state.timeZone) {
     return date.toLocaleTimeString('en-GB', {
         hour: '2-digit',
         minute: '2-digit',
-        hour12: false
+        hour12: false,
+        timeZone: timeZone || undefined
     });
 }
 
-// ==================== Theme Functionality ====================
+// ==================== Day Timeline ====================
+
+// Bar of the running focus session, grown by updateTimelineNow()
+let timelineSession = null;
 
 /**
- * Set the active theme
+ * Show the schedule list or the day timeline, as picked
  */
-function setTheme(theme, save = true) {
-    state.theme = theme;
-    document.documentElement.setAttribute('data-theme', theme);
-
-    // Update active state on buttons
-    document.querySelectorAll('.theme-btn').forEach(btn => {
-        btn.classList.toggle('active', btn.dataset.theme === theme);
-    });
-
-    if (save) {
-        localStorage.setItem(THEME_STORAGE_KEY, theme);
-    }
+function applyScheduleView() {
+    const timeline = state.scheduleView === SCHEDULE_VIEWS.TIMELINE;
+    elements.scheduleOverview.classList.toggle('hidden', timeline);
+    elements.timeline.classList.toggle('hidden', !timeline);
+    elements.scheduleViewToggle.textContent = timeline ? 'Show list' : 'Show timeline';
 }
 
-// ==================== Focus Functionality ====================
+/**
+ * Switch between the schedule list and the day timeline
+ */
+function toggleTimeline() {
+    state.scheduleView = state.scheduleView === SCHEDULE_VIEWS.TIMELINE ? SCHEDULE_VIEWS.LIST : SCHEDULE_VIEWS.TIMELINE;
+    storeSetting(SCHEDULE_VIEW_STORAGE_KEY, state.scheduleView);
+    applyScheduleView();
+    renderTimeline();
+}
 
 /**
- * Show focus input dialog
+ * Position of a time on the timeline, in % of the day from sleep start to bedtime
  */
-function showFocusInput() {
-    elements.focusInputContainer.classList.remove('hidden');
-    elements.focusTaskInput.focus();
+function getTimelineOffset(time) {
+    const { sleepStart, windDownEnd } = state.milestones;
+    return (time.getTime() - sleepStart.getTime()) / (windDownEnd.getTime() - sleepStart.getTime()) * 100;
 }
 
 /**
- * Hide focus input dialog
+ * Stretch a timeline element from start to end (clipped to the day)
  */
-function hideFocusInput() {
-    elements.focusInputContainer.classList.add('hidden');
-    elements.focusTaskInput.value = '';
+function placeOnTimeline(element, start, end) {
+    const left = Math.max(getTimelineOffset(start), 0);
+    const right = Math.min(getTimelineOffset(end), 100);
+    element.style.left = `${left}%`;
+    element.style.width = `${Math.max(right - left, 0)}%`;
 }
 
 /**
- * Start focus session
+ * Rebuild the day timeline: phases, the hours and parts of each block, focus sessions and the time scale
  */
-async function startFocus() {
-    const task = elements.focusTaskInput.value.trim();
-    if (!task) {
-        elements.focusTaskInput.focus();
-        return;
-    }
+function renderTimeline() {
+    if (elements.timeline.classList.contains('hidden')) return;
 
-    hideFocusInput();
+    elements.timelinePhases.innerHTML = '';
+    getPhaseRanges(state.milestones).forEach(range => {
+        const bar = document.createElement('div');
+        bar.className = 'timeline-phase';
+        bar.dataset.phase = range.phase;
+        if (range.custom) {
+            bar.classList.add('custom');
+            bar.dataset.customStyle = range.style;
+        }
+        bar.textContent = range.label;
+        placeOnTimeline(bar, range.start, range.end);
+        elements.timelinePhases.appendChild(bar);
+    });
 
-    // Send to endpoint
-    if (state.endpointUrl) {
-        try {
-            await fetch(`${state.endpointUrl}/start`, {
-                method: 'POST',
-                headers: getApiHeaders(),
-                body: JSON.stringify({ task })
-            });
-        } catch (error) {
-            console.error('Failed to notify endpoint:', error);
+    elements.timelineHours.innerHTML = '';
+    elements.timelineParts.innerHTML = '';
+    state.milestones.blocks.forEach(block => {
+        const parts = ClockCore.getBlockParts(state.profile, block);
+        parts.forEach(part => {
+            const tick = document.createElement('div');
+            tick.className = 'timeline-part';
+            placeOnTimeline(tick, part.start, part.end);
+            elements.timelineParts.appendChild(tick);
+        });
+
+        for (let hour = 1; hour <= state.profile.hoursPerBlock; hour++) {
+            const hourParts = parts.filter(part => part.hour === hour);
+            if (!hourParts.length) continue;
+
+            // Click to plan a task into the hour
+            const button = document.createElement('button');
+            button.className = 'timeline-hour';
+            button.dataset.slot = `${block.number}-${hour}`;
+            button.dataset.time = formatTime(hourParts[0].start);
+            button.addEventListener('click', () => planTaskInSlot(button.dataset.slot));
+            placeOnTimeline(button, hourParts[0].start, hourParts[hourParts.length - 1].end);
+            elements.timelineHours.appendChild(button);
         }
+    });
+    markTimelineTasks();
+
+    elements.timelineScale.innerHTML = '';
+    const { sleepStart, windDownEnd } = state.milestones;
+    for (let i = 0; i < TIMELINE_SCALE_LABELS; i++) {
+        const fraction = i / (TIMELINE_SCALE_LABELS - 1);
+        const label = document.createElement('span');
+        label.textContent = formatTime(new Date(sleepStart.getTime() + fraction * (windDownEnd - sleepStart)));
+        label.style.left = `${fraction * 100}%`;
+        elements.timelineScale.appendChild(label);
     }
 
-    // Update local state
-    state.isFocusing = true;
-    state.focusTask = task;
-    updateFocusUI();
+    renderTimelineSessions();
+    updateTimelineNow(getNow());
 }
 
 /**
- * Stop focus session
+ * Mark the timeline hours with tasks planned into them, and describe each hour for its button
  */
-async function stopFocus() {
-    // Send to endpoint
-    if (state.endpointUrl) {
-        try {
-            await fetch(`${state.endpointUrl}/stop`, {
-                method: 'POST',
-                headers: getApiHeaders()
-            });
-        } catch (error) {
-            console.error('Failed to notify endpoint:', error);
+function markTimelineTasks() {
+    elements.timelineHours.querySelectorAll('.timeline-hour').forEach(button => {
+        const [block, hour] = button.dataset.slot.split('-').map(Number);
+        const titles = state.tasks
+            .filter(task => isPlannedToday(task) && task.block === block && task.hour === hour)
+            .map(task => task.title);
+
+        button.classList.toggle('planned', titles.length > 0);
+        button.title = `Hour ${button.dataset.slot} · ${button.dataset.time}` +
+            (titles.length ? ` · ${titles.join(', ')}` : ' · click to plan a task');
+        button.setAttribute('aria-label', `Plan a task for hour ${button.dataset.slot} at ${button.dataset.time}` +
+            (titles.length ? `, planned: ${titles.join(', ')}` : ''));
+    });
+}
+
+/**
+ * Open the task form with a slot of today's plan picked
+ */
+function planTaskInSlot(slot) {
+    if (elements.tasksPanel.classList.contains('hidden')) {
+        toggleTasks();
+    }
+    elements.taskSlotSelect.value = slot;
+    elements.taskTitleInput.focus();
+}
+
+/**
+ * Draw today's focus sessions on the timeline, the running one up to now
+ */
+async function renderTimelineSessions() {
+    if (elements.timeline.classList.contains('hidden')) return;
+
+    let sessions = [];
+    try {
+        sessions = await getFocusSessions();
+    } catch (error) {
+        console.error('Failed to load focus sessions:', error);
+    }
+
+    const { sleepStart, windDownEnd } = state.milestones;
+    elements.timelineFocus.innerHTML = '';
+    sessions
+        .filter(session => session.end > sleepStart.getTime() && session.start < windDownEnd.getTime())
+        .forEach(session => addTimelineSession(session, new Date(session.end)));
+    timelineSession = state.focusSession ? addTimelineSession(state.focusSession, getNow()) : null;
+}
+
+/**
+ * Add a focus session bar to the timeline
+ */
+function addTimelineSession(session, end) {
+    const bar = document.createElement('div');
+    bar.className = 'timeline-session';
+    bar.classList.toggle('abandoned', session.outcome === 'abandoned');
+    bar.title = `${session.task || 'Focus'} · ${formatTime(new Date(session.start))}-${formatTime(end)}`;
+    placeOnTimeline(bar, new Date(session.start), end);
+    elements.timelineFocus.appendChild(bar);
+    return bar;
+}
+
+/**
+ * Move the now marker, and grow the running focus session's bar
+ */
+function updateTimelineNow(now) {
+    if (elements.timeline.classList.contains('hidden')) return;
+
+    elements.timelineNow.style.left = `${getTimelineOffset(now)}%`;
+    if (timelineSession && state.focusSession) {
+        placeOnTimeline(timelineSession, new Date(state.focusSession.start), now);
+    }
+}
+
+/**
+ * Show what the timeline holds under the pointer: time, phase and B-H-P
+ */
+function showTimelineDetails(e) {
+    const bounds = elements.timelineTracks.getBoundingClientRect();
+    const fraction = Math.min(Math.max((e.clientX - bounds.left) / bounds.width, 0), 1);
+    const { sleepStart, windDownEnd } = state.milestones;
+    const time = new Date(sleepStart.getTime() + fraction * (windDownEnd - sleepStart));
+
+    const range = ClockCore.getRangeAt(state.milestones, time);
+    const details = [formatTime(time)];
+    if (range) {
+        details.push(range.label);
+    }
+    if (range && isBlockPhase(range.phase)) {
+        const block = state.milestones.blocks.find(b => blockPhase(b.number) === range.phase);
+        const bhp = calculateBHP(time, block);
+        details.push(`${bhp.block}-${bhp.hour}-${bhp.part}`);
+    }
+
+    elements.timelineDetails.textContent = details.join(' · ');
+    elements.timelineDetails.style.left = `${fraction * 100}%`;
+    elements.timelineDetails.classList.remove('hidden');
+}
+
+// ==================== Tick Scheduler ====================
+
+// Pending window timer (when no timer worker is available)
+let tickTimer = null;
+// Worker whose timers are not throttled like a background tab's
+let timerWorker = null;
+// requestAnimationFrame id for the progress ring, null while hidden
+let progressFrame = null;
+// Boundary times per milestone set, computed once per day
+const boundaryCache = new WeakMap();
+
+/**
+ * Start the tick scheduler and progress animation, and catch up whenever the page comes back
+ */
+function startTicking() {
+    timerWorker = createTimerWorker();
+
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') {
+            updateClock();
+            // Catch focus changes made elsewhere while the stream may have been cut
+            checkFocusState();
+            startProgressAnimation();
+        } else {
+            stopProgressAnimation();
+        }
+    });
+
+    // Pages restored from the back/forward cache skip the visibility change
+    window.addEventListener('pageshow', (e) => {
+        if (e.persisted) updateClock();
+    });
+
+    startProgressAnimation();
+}
+
+/**
+ * Create a worker that posts back after the delay it is sent
+ * Returns null where workers are unavailable (e.g. some browsers on file://)
+ */
+function createTimerWorker() {
+    if (!window.Worker) return null;
+
+    try {
+        const source = 'let timer = null; onmessage = (e) => { clearTimeout(timer); timer = setTimeout(() => postMessage(0), e.data); };';
+        const worker = new Worker(URL.createObjectURL(new Blob([source], { type: 'text/javascript' })));
+        worker.onmessage = () => updateClock();
+        worker.onerror = () => {
+            // Fall back to window timers if the worker cannot run
+            timerWorker = null;
+            updateClock();
+        };
+        return worker;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * All times in a milestone set where something changes (see ClockCore.getBoundaries)
+ */
+function getBoundaries(m) {
+    if (!boundaryCache.has(m)) {
+        boundaryCache.set(m, ClockCore.getBoundaries(state.profile, m));
+    }
+    return boundaryCache.get(m);
+}
+
+/**
+ * Time of the next boundary (or bedtime reminder, or end of focus timer) after now
+ */
+function getNextBoundary(now) {
+    const time = now.getTime();
+    const reminderAt = state.milestones.windDownEnd.getTime() - state.notifications.bedtimeMinutes * MINUTE;
+
+    let next = getBoundaries(state.milestones).find(t => t > time) || state.milestones.windDownEnd.getTime();
+    if (reminderAt > time) next = Math.min(next, reminderAt);
+
+    const timerEnd = getFocusTimerEnd();
+    return timerEnd > time ? Math.min(next, timerEnd) : next;
+}
+
+/**
+ * Count the boundaries passed between two ticks (which may be on different days)
+ */
+function countBoundariesBetween(previous, tick) {
+    const boundaries = new Set([...getBoundaries(previous.milestones), ...getBoundaries(tick.milestones)]);
+    let count = 0;
+    boundaries.forEach(time => {
+        if (time > previous.time && time <= tick.time) count++;
+    });
+    return count;
+}
+
+/**
+ * Schedule the next updateClock() just after the next boundary
+ */
+function scheduleNextTick(now) {
+    // Delays are in clock time, which a simulated clock runs through faster
+    const speed = simulation ? simulation.speed : 1;
+    const delay = Math.min(getNextBoundary(now) - now.getTime(), MAX_TICK_DELAY) / speed + TICK_SLACK;
+
+    if (timerWorker) {
+        timerWorker.postMessage(delay);
+    } else {
+        clearTimeout(tickTimer);
+        tickTimer = setTimeout(updateClock, delay);
+    }
+}
+
+/**
+ * Animate the progress ring while the page is visible
+ */
+function startProgressAnimation() {
+    // With reduced motion the ring only moves on ticks
+    if (progressFrame !== null || document.hidden || reducedMotionQuery.matches) return;
+
+    const frame = () => {
+        progressFrame = requestAnimationFrame(frame);
+        if (state.currentPhase) {
+            const now = getNow();
+            updateProgressRing(getPhaseProgress(now, state.currentPhase));
+            updateFocusArc(now);
+        }
+    };
+    progressFrame = requestAnimationFrame(frame);
+}
+
+/**
+ * Stop animating the progress ring
+ */
+function stopProgressAnimation() {
+    if (progressFrame === null) return;
+
+    cancelAnimationFrame(progressFrame);
+    progressFrame = null;
+}
+
+// ==================== Simulated Clock ====================
+
+// Time travel for debugging, from the page URL: ?now=2026-03-08T01:50&speed=60
+// null when the clock follows the real time
+let simulation = null;
+
+/**
+ * Read the simulated clock settings from a query string
+ * `now` is any date string Date understands, `speed` multiplies how fast time passes
+ */
+function parseSimulation(search) {
+    const params = new URLSearchParams(search);
+    if (!params.has('now') && !params.has('speed')) return null;
+
+    const start = params.has('now') ? new Date(params.get('now')) : new Date();
+    const speed = params.has('speed') ? Number(params.get('speed')) : 1;
+    if (isNaN(start.getTime()) || !(speed > 0)) {
+        console.error('Ignoring invalid simulated clock:', search);
+        return null;
+    }
+
+    return { start: start.getTime(), realStart: Date.now(), speed };
+}
+
+/**
+ * Current time for everything the clock shows - simulated when debugging
+ */
+function getNow() {
+    if (!simulation) return new Date();
+    return new Date(simulation.start + (Date.now() - simulation.realStart) * simulation.speed);
+}
+
+/**
+ * Show the simulated time, so a debug session is never mistaken for the real schedule
+ */
+function updateSimulationBanner(now) {
+    if (!simulation) return;
+
+    elements.simulationBanner.classList.remove('hidden');
+    const speed = simulation.speed === 1 ? '' : ` ×${simulation.speed}`;
+    elements.simulationBanner.textContent =
+        `Simulated clock${speed}: ${toDateKey(now, state.timeZone)} ${formatTime(now)}`;
+}
+
+// ==================== Schedule Events ====================
+
+// Handlers called with (type, detail) for every schedule transition
+const scheduleEventHandlers = [];
+
+/**
+ * Subscribe to schedule transitions (see SCHEDULE_EVENTS)
+ */
+function onScheduleEvent(handler) {
+    scheduleEventHandlers.push(handler);
+}
+
+/**
+ * Pass a schedule transition to every subscriber
+ */
+function emitScheduleEvent(type, detail) {
+    scheduleEventHandlers.forEach(handler => {
+        try {
+            handler(type, detail);
+        } catch (error) {
+            console.error(`Schedule event handler failed for ${type}:`, error);
+        }
+    });
+}
+
+/**
+ * Snapshot of where the schedule is at a given time
+ * Custom phases inside a block keep the block number and the B-H-P where work paused
+ */
+function getTickState(now, phase) {
+    const range = getPhaseRange(phase);
+    let blockNumber = null;
+    let bhp = null;
+
+    if (isBlockPhase(phase)) {
+        blockNumber = state.milestones.blocks.find(b => blockPhase(b.number) === phase).number;
+        bhp = calculateBHP(now, state.milestones.blocks[blockNumber - 1]);
+    } else if (range && range.block) {
+        blockNumber = range.block;
+        bhp = calculateBHP(range.start, state.milestones.blocks[blockNumber - 1]);
+    }
+
+    return {
+        time: now.getTime(),
+        phase,
+        label: range ? range.label : getPhaseLabel(phase),
+        phaseEnd: range ? range.end : null,
+        block: blockNumber,
+        bhp,
+        bedtime: state.milestones.windDownEnd,
+        milestones: state.milestones
+    };
+}
+
+/**
+ * Compare this tick with the previous one and emit the transitions in between
+ */
+function detectScheduleEvents(now, phase) {
+    const tick = getTickState(now, phase);
+    const previous = state.lastTick;
+    state.lastTick = tick;
+
+    if (!previous) return;
+
+    // After sleep or throttling, parts and hours are summarized instead of replayed (or silently skipped);
+    // phase-level transitions are still emitted, once each
+    const missed = countBoundariesBetween(previous, tick);
+    const catchingUp = missed > 1;
+    const passed = time => previous.time < time && tick.time >= time;
+
+    if (tick.phase !== previous.phase) {
+        emitScheduleEvent(SCHEDULE_EVENTS.PHASE_CHANGE, { from: previous, to: tick });
+    }
+
+    if (tick.block !== previous.block) {
+        if (previous.block !== null) {
+            emitScheduleEvent(SCHEDULE_EVENTS.BLOCK_END, { from: previous, to: tick });
+        }
+        if (tick.block !== null) {
+            emitScheduleEvent(SCHEDULE_EVENTS.BLOCK_START, { from: previous, to: tick });
+        }
+    } else if (tick.bhp && previous.bhp && !catchingUp) {
+        if (tick.bhp.hour !== previous.bhp.hour) {
+            emitScheduleEvent(SCHEDULE_EVENTS.HOUR_CHANGE, { from: previous, to: tick });
+        } else if (tick.bhp.part !== previous.bhp.part) {
+            emitScheduleEvent(SCHEDULE_EVENTS.PART_CHANGE, { from: previous, to: tick });
+        }
+    }
+
+    const windDownStarted = tick.phase !== previous.phase && tick.phase === PHASES.WIND_DOWN;
+    if (windDownStarted || (catchingUp && passed(previous.milestones.windDownStart.getTime()))) {
+        emitScheduleEvent(SCHEDULE_EVENTS.WIND_DOWN_START, { from: previous, to: tick });
+    }
+
+    const bedtimeReached = tick.phase !== previous.phase && tick.phase === PHASES.SLEEP;
+    if (bedtimeReached || (catchingUp && passed(previous.bedtime.getTime()))) {
+        emitScheduleEvent(SCHEDULE_EVENTS.BEDTIME, { from: previous, to: tick });
+    }
+
+    // Reminder ahead of the bedtime that was coming up at the previous tick
+    if (passed(previous.bedtime.getTime() - state.notifications.bedtimeMinutes * MINUTE)) {
+        emitScheduleEvent(SCHEDULE_EVENTS.BEFORE_BEDTIME, {
+            from: previous,
+            to: tick,
+            minutes: state.notifications.bedtimeMinutes,
+            bedtime: previous.bedtime
+        });
+    }
+
+    // Last, so the summary is the notification left showing
+    if (catchingUp) {
+        emitScheduleEvent(SCHEDULE_EVENTS.CATCH_UP, { from: previous, to: tick, missed });
+    }
+}
+
+// ==================== Theme Functionality ====================
+
+// Theme whose colors are on the page, null until the first applyTheme()
+let appliedThemeId = null;
+// System color scheme, followed when the setting is on
+const darkSchemeQuery = window.matchMedia('(prefers-color-scheme: dark)');
+
+/**
+ * Load custom themes and the automatic switching settings
+ */
+function loadThemes() {
+    const savedCustom = localStorage.getItem(CUSTOM_THEMES_STORAGE_KEY);
+    const savedSettings = localStorage.getItem(THEME_SETTINGS_STORAGE_KEY);
+
+    if (savedCustom) {
+        try {
+            state.customThemes = JSON.parse(savedCustom);
+        } catch (error) {
+            console.error('Failed to load custom themes:', error);
+        }
+    }
+
+    if (savedSettings) {
+        try {
+            const settings = JSON.parse(savedSettings);
+            state.themeSettings = { ...DEFAULT_THEME_SETTINGS, ...settings, phases: { ...settings.phases } };
+        } catch (error) {
+            console.error('Failed to load theme settings:', error);
+        }
+    }
+}
+
+/**
+ * Find a built-in or custom theme by ID
+ */
+function findTheme(id) {
+    return Themes.BUILT_IN_THEMES[id] || state.customThemes.find(theme => theme.id === id) || null;
+}
+
+/**
+ * Every theme as [id, theme], built-in ones first
+ */
+function getThemeEntries() {
+    return [
+        ...Object.entries(Themes.BUILT_IN_THEMES),
+        ...state.customThemes.map(theme => [theme.id, theme])
+    ];
+}
+
+/**
+ * Key of a phase in the per-phase theme settings (all blocks and all custom phases share one)
+ */
+function getThemePhaseKey(phase) {
+    if (isBlockPhase(phase)) return 'block';
+    if (isCustomPhase(phase)) return 'custom';
+    return phase;
+}
+
+/**
+ * The theme for a phase: the phase's own theme, else the system color scheme's (when followed),
+ * else the one picked in the selector
+ */
+function resolveThemeId(phase) {
+    const settings = state.themeSettings;
+    const candidates = [
+        phase && settings.phases[getThemePhaseKey(phase)],
+        settings.followSystem && (darkSchemeQuery.matches ? settings.darkTheme : settings.lightTheme),
+        state.theme
+    ];
+    return candidates.find(id => id && findTheme(id)) || DEFAULT_THEME;
+}
+
+/**
+ * Put the theme for the current phase on the page, if it changed (or always, when forced)
+ */
+function applyTheme(force = false) {
+    const id = resolveThemeId(state.currentPhase);
+    if (id === appliedThemeId && !force) return;
+
+    appliedThemeId = id;
+    document.documentElement.setAttribute('data-theme', id);
+    applyThemeColors(findTheme(id).colors);
+}
+
+/**
+ * Set the page colors, through a :root rule so high contrast mode still wins
+ */
+function applyThemeColors(colors) {
+    const variables = Themes.toCssVariables(colors);
+    const declarations = Object.entries(variables).map(([name, value]) => `    ${name}: ${value};`);
+    elements.themeStyle.textContent = `:root {\n${declarations.join('\n')}\n}`;
+    elements.themeColorMeta.setAttribute('content', colors.bg);
+}
+
+/**
+ * Set the active theme
+ */
+function setTheme(theme, save = true) {
+    state.theme = theme;
+
+    // Update active state on buttons
+    document.querySelectorAll('.theme-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.theme === theme);
+    });
+
+    if (save) {
+        storeSetting(THEME_STORAGE_KEY, theme);
+    }
+
+    applyTheme(true);
+    fillThemeEditor(findTheme(theme) || findTheme(DEFAULT_THEME));
+}
+
+/**
+ * Build a selector button per theme, custom ones included
+ */
+function renderThemeSelector() {
+    elements.themeSelector.innerHTML = '';
+
+    getThemeEntries().forEach(([id, theme]) => {
+        const btn = document.createElement('button');
+        btn.className = 'theme-btn';
+        btn.dataset.theme = id;
+        btn.title = theme.name;
+        btn.setAttribute('aria-label', `${theme.name} theme`);
+        btn.classList.toggle('active', id === state.theme);
+
+        const preview = document.createElement('span');
+        preview.className = 'theme-preview';
+        preview.style.background = theme.colors.ring;
+        btn.appendChild(preview);
+
+        btn.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            setTheme(id);
+        });
+        elements.themeSelector.appendChild(btn);
+    });
+
+    fillThemeSelects();
+}
+
+/**
+ * Fill the automatic switching selects with the themes, keeping their values
+ */
+function fillThemeSelects() {
+    const entries = getThemeEntries();
+    const fill = (select, value, emptyLabel) => {
+        select.innerHTML = '';
+        if (emptyLabel) {
+            const option = document.createElement('option');
+            option.value = '';
+            option.textContent = emptyLabel;
+            select.appendChild(option);
+        }
+        entries.forEach(([id, theme]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = theme.name;
+            select.appendChild(option);
+        });
+        select.value = findTheme(value) ? value : '';
+    };
+
+    const settings = state.themeSettings;
+    elements.themeFollowSystemInput.checked = settings.followSystem;
+    fill(elements.themeLightSelect, settings.lightTheme);
+    fill(elements.themeDarkSelect, settings.darkTheme);
+    elements.themePhaseSelects.forEach(select => {
+        fill(select, settings.phases[select.dataset.themePhase], 'Same as above');
+    });
+}
+
+/**
+ * Read the automatic switching settings from their inputs
+ */
+function readThemeSettingsInputs() {
+    const phases = {};
+    elements.themePhaseSelects.forEach(select => {
+        if (select.value) phases[select.dataset.themePhase] = select.value;
+    });
+
+    return {
+        followSystem: elements.themeFollowSystemInput.checked,
+        lightTheme: elements.themeLightSelect.value,
+        darkTheme: elements.themeDarkSelect.value,
+        phases
+    };
+}
+
+/**
+ * Build the color inputs of the theme editor
+ */
+function renderThemeEditor() {
+    elements.themeColorInputs.innerHTML = '';
+
+    Object.entries(Themes.COLOR_FIELDS).forEach(([field, { label }]) => {
+        const row = document.createElement('label');
+        const input = document.createElement('input');
+        input.type = 'color';
+        input.dataset.themeColor = field;
+        // Edits preview on the whole page until the settings close
+        input.addEventListener('input', () => applyThemeColors(readThemeEditor().colors));
+        row.append(input, ` ${label}`);
+        elements.themeColorInputs.appendChild(row);
+    });
+}
+
+/**
+ * Start the editor from a theme's colors
+ */
+function fillThemeEditor(theme) {
+    const colors = Themes.getEditableColors(theme.colors);
+    elements.themeColorInputs.querySelectorAll('[data-theme-color]').forEach(input => {
+        input.value = colors[input.dataset.themeColor];
+    });
+    elements.themeNameInput.value = '';
+    elements.themeNameInput.placeholder = `My ${theme.name}`;
+    showThemeError(null);
+}
+
+/**
+ * Theme from the editor inputs
+ */
+function readThemeEditor() {
+    const colors = {};
+    elements.themeColorInputs.querySelectorAll('[data-theme-color]').forEach(input => {
+        colors[input.dataset.themeColor] = input.value;
+    });
+    return {
+        name: elements.themeNameInput.value.trim() || elements.themeNameInput.placeholder,
+        colors
+    };
+}
+
+/**
+ * Persist custom themes and refresh everything listing them
+ */
+function saveCustomThemes() {
+    storeSetting(CUSTOM_THEMES_STORAGE_KEY, JSON.stringify(state.customThemes));
+    renderThemeSelector();
+    renderCustomThemeList();
+}
+
+/**
+ * Add a custom theme and switch to it, or show why it cannot be added
+ */
+function addCustomTheme(theme) {
+    const error = Themes.validateTheme(theme);
+    showThemeError(error);
+    if (error) return false;
+
+    const id = `custom-${Date.now().toString(36)}`;
+    state.customThemes.push({ id, name: theme.name.trim(), colors: theme.colors });
+    saveCustomThemes();
+    setTheme(id);
+    return true;
+}
+
+/**
+ * Save the editor as a new custom theme
+ */
+function saveThemeFromEditor() {
+    addCustomTheme(readThemeEditor());
+}
+
+/**
+ * Add a theme from a pasted share code
+ */
+function importTheme() {
+    let theme;
+    try {
+        theme = Themes.decodeTheme(elements.themeCodeInput.value);
+    } catch (error) {
+        showThemeError(error.message);
+        return;
+    }
+
+    if (addCustomTheme(theme)) {
+        elements.themeCodeInput.value = '';
+        showThemeResult(`Added ${theme.name}`);
+    }
+}
+
+/**
+ * Copy a custom theme's share code, and show it for copying by hand
+ */
+async function shareCustomTheme(theme) {
+    const code = Themes.encodeTheme(theme);
+    elements.themeCodeInput.value = code;
+
+    try {
+        await navigator.clipboard.writeText(code);
+        showThemeResult(`Copied the code for ${theme.name}`);
+    } catch (error) {
+        elements.themeCodeInput.select();
+        showThemeResult('Copy the theme code from the box below');
+    }
+}
+
+/**
+ * Remove a custom theme, falling back to the default theme if it was in use
+ */
+function removeCustomTheme(theme) {
+    state.customThemes = state.customThemes.filter(other => other !== theme);
+    saveCustomThemes();
+
+    if (state.theme === theme.id) {
+        setTheme(DEFAULT_THEME);
+    } else {
+        applyTheme();
+    }
+}
+
+/**
+ * Show why a theme cannot be added, or clear the message
+ */
+function showThemeError(error) {
+    elements.themeError.textContent = error || '';
+    elements.themeError.classList.toggle('hidden', !error);
+}
+
+/**
+ * Show a short status message under the custom theme list
+ */
+function showThemeResult(message) {
+    elements.themeResult.textContent = message;
+    elements.themeResult.className = 'test-result success';
+}
+
+/**
+ * List custom themes with share and remove buttons
+ */
+function renderCustomThemeList() {
+    elements.customThemeList.innerHTML = '';
+
+    state.customThemes.forEach(theme => {
+        const item = document.createElement('li');
+        const name = document.createElement('span');
+        name.className = 'custom-theme-name';
+        name.style.setProperty('--swatch-color', theme.colors.ring);
+        name.textContent = theme.name;
+
+        const shareBtn = document.createElement('button');
+        shareBtn.className = 'btn-preview';
+        shareBtn.textContent = 'Share';
+        shareBtn.setAttribute('aria-label', `Share ${theme.name}`);
+        shareBtn.addEventListener('click', () => shareCustomTheme(theme));
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'btn-remove';
+        removeBtn.textContent = '×';
+        removeBtn.setAttribute('aria-label', `Remove ${theme.name}`);
+        removeBtn.addEventListener('click', () => removeCustomTheme(theme));
+
+        item.append(name, shareBtn, removeBtn);
+        elements.customThemeList.appendChild(item);
+    });
+}
+
+// ==================== Focus Functionality ====================
+
+/**
+ * Show focus input dialog
+ */
+function showFocusInput() {
+    elements.focusInputContainer.classList.remove('hidden');
+    fillFocusTimerInputs();
+    renderFocusTaskOptions();
+    fillTaskSuggestions();
+    elements.focusTaskInput.focus();
+}
+
+/**
+ * Hide focus input dialog
+ */
+function hideFocusInput() {
+    restoreFocusFrom(elements.focusInputContainer);
+    elements.focusInputContainer.classList.add('hidden');
+    elements.focusTaskInput.value = '';
+}
+
+/**
+ * Give keyboard focus back to the center display when a popup that holds it closes
+ */
+function restoreFocusFrom(container) {
+    if (container.contains(document.activeElement)) {
+        elements.centerDisplay.focus();
+    }
+}
+
+/**
+ * Start focus session
+ */
+function startFocus() {
+    const task = elements.focusTaskInput.value.trim();
+    if (!task) {
+        elements.focusTaskInput.focus();
+        return;
+    }
+
+    state.focusTimer = {
+        parts: Number(elements.focusPartsSelect.value),
+        breakPart: elements.focusBreakInput.checked
+    };
+    storeSetting(FOCUS_TIMER_STORAGE_KEY, JSON.stringify(state.focusTimer));
+    hideFocusInput();
+
+    // Update local state
+    state.isFocusing = true;
+    state.focusTask = task;
+    state.focusBreak = null;
+    beginFocusSession(task, {}, state.focusTimer);
+    playSoundCue('focusStart');
+    updateFocusUI();
+    shareFocusState();
+
+    // Send to endpoint
+    queueEndpointCall('start', state.focusSession);
+    updateHeartbeat();
+}
+
+/**
+ * Ask whether the task is done before stopping (sessions without a task stop right away)
+ */
+function showStopPrompt() {
+    const task = state.focusSession && findTask(state.focusSession.taskId);
+    if (!task || task.done) {
+        stopFocus();
+        return;
+    }
+
+    elements.focusStopTask.textContent = task.title;
+    elements.focusStopContainer.classList.remove('hidden');
+    elements.focusDoneBtn.focus();
+}
+
+/**
+ * Hide the stop prompt
+ */
+function hideStopPrompt() {
+    restoreFocusFrom(elements.focusStopContainer);
+    elements.focusStopContainer.classList.add('hidden');
+}
+
+/**
+ * Stop focus session, optionally marking its task done
+ */
+function stopFocus(taskDone = false) {
+    hideStopPrompt();
+
+    const task = state.focusSession && findTask(state.focusSession.taskId);
+    if (taskDone && task) {
+        setTaskDone(task, true);
+    }
+
+    endFocus('focusStop');
+}
+
+/**
+ * End the running session at the given time, with the given sound cue
+ */
+function endFocus(cue, end = getNow()) {
+    const session = state.focusSession;
+
+    // Update local state
+    state.isFocusing = false;
+    state.focusTask = '';
+    finishFocusSession(end);
+    playSoundCue(cue);
+    updateFocusUI();
+    shareFocusState();
+
+    // Send to endpoint
+    queueEndpointCall('stop', session);
+    updateHeartbeat();
+}
+
+/**
+ * Update focus UI based on state
+ */
+function updateFocusUI() {
+    if (state.isFocusing) {
+        elements.centerDisplay.classList.add('focusing');
+        elements.focusTaskText.textContent = state.focusTask;
+    } else {
+        elements.centerDisplay.classList.remove('focusing');
+        elements.focusTaskText.textContent = state.focusBreak ? `Break until ${formatTime(new Date(state.focusBreak.end))}` : '';
+    }
+    elements.centerDisplay.classList.toggle('on-break', Boolean(state.focusBreak));
+    elements.centerDisplay.setAttribute('aria-label', state.isFocusing ? `Stop focus on ${state.focusTask}` : 'Start focus');
+    updatePlannedTask();
+    renderTimelineSessions();
+}
+
+/**
+ * Fill the focus length choices (in parts of the schedule profile) with the last pick
+ */
+function fillFocusTimerInputs() {
+    const { partsPerHour, partMinutes } = state.profile;
+    elements.focusPartsSelect.innerHTML = '';
+
+    for (let parts = 0; parts <= partsPerHour; parts++) {
+        const option = document.createElement('option');
+        option.value = parts;
+        option.textContent = parts ?
+            `${parts} part${parts === 1 ? '' : 's'} · ${formatMinutes(parts * partMinutes)}` :
+            'Until stopped';
+        elements.focusPartsSelect.appendChild(option);
+    }
+
+    elements.focusPartsSelect.value = Math.min(state.focusTimer.parts, partsPerHour);
+    elements.focusBreakInput.checked = state.focusTimer.breakPart;
+}
+
+/**
+ * When the focus target or the break after it is reached, or null without a timer
+ */
+function getFocusTimerEnd() {
+    if (state.focusSession && state.focusSession.targetEnd) return state.focusSession.targetEnd;
+    return state.focusBreak ? state.focusBreak.end : null;
+}
+
+/**
+ * Stop a timed session once its target is reached (recorded as completed),
+ * then end the break that may follow it
+ * With several tabs open the leader stops the session, and the others follow
+ */
+function checkFocusTimer(now) {
+    const session = state.focusSession;
+    if (isLeaderTab && session && session.targetEnd && now.getTime() >= session.targetEnd) {
+        hideStopPrompt();
+        if (session.breakParts) {
+            state.focusBreak = { end: session.targetEnd + session.breakParts * state.profile.partMinutes * MINUTE };
+        }
+        endFocus('focusComplete', new Date(session.targetEnd));
+        announce(`Focus target reached${state.focusBreak ? ', break started' : ''}`);
+    }
+
+    if (state.focusBreak && now.getTime() >= state.focusBreak.end) {
+        state.focusBreak = null;
+        if (isLeaderTab) {
+            playSoundCue('breakEnd');
+        }
+        updateFocusUI();
+        announce('Break over');
+    }
+}
+
+/**
+ * Draw the remaining time of a timed session over the part ring,
+ * from now up to the target (or the end of the hour the ring shows)
+ */
+function updateFocusArc(now) {
+    const arc = elements.focusArc;
+    const session = state.focusSession;
+    const remaining = session && session.targetEnd ? session.targetEnd - now.getTime() : 0;
+    const phase = state.currentPhase;
+
+    if (remaining <= 0 || !isBlockPhase(phase)) {
+        arc.classList.add('hidden');
+        return;
+    }
+
+    const { partsPerHour, partMinutes } = state.profile;
+    const block = state.milestones.blocks.find(b => blockPhase(b.number) === phase);
+    const bhp = calculateBHP(now, block);
+    const from = bhp.completedParts + Math.min(Math.max(bhp.partProgress, 0), 1);
+    const to = Math.min(from + remaining / (partMinutes * MINUTE), partsPerHour);
+
+    // Positions along the ring skip the gaps between part segments
+    const segmentLength = parseFloat(arc.dataset.segmentLength);
+    const gapLength = parseFloat(arc.dataset.gapLength);
+    const position = (parts) => {
+        const segment = Math.min(Math.floor(parts), partsPerHour - 1);
+        return segment * (segmentLength + gapLength) + gapLength / 2 + (parts - segment) * segmentLength;
+    };
+
+    const start = position(from);
+    const dashArray = `${(position(to) - start).toFixed(2)} ${arc.dataset.circumference}`;
+    arc.classList.remove('hidden');
+    if (arc.style.strokeDasharray !== dashArray) {
+        arc.style.strokeDasharray = dashArray;
+    }
+    arc.style.strokeDashoffset = (-start).toFixed(2);
+}
+
+// ==================== Tasks ====================
+
+/**
+ * Load the task list
+ */
+function loadTasks() {
+    const saved = localStorage.getItem(TASKS_STORAGE_KEY);
+    if (!saved) return;
+
+    try {
+        state.tasks = JSON.parse(saved);
+    } catch (error) {
+        console.error('Failed to load tasks:', error);
+    }
+}
+
+/**
+ * Persist tasks and refresh everything that shows them
+ */
+function saveTasks() {
+    storeSetting(TASKS_STORAGE_KEY, JSON.stringify(state.tasks));
+    renderTaskList();
+    updatePlannedTask();
+    markTimelineTasks();
+}
+
+/**
+ * Drop tasks finished on an earlier day
+ */
+function pruneTasks() {
+    const today = state.milestones.date;
+    const kept = state.tasks.filter(task => !task.done || task.doneDate >= today);
+    if (kept.length !== state.tasks.length) {
+        state.tasks = kept;
+        saveTasks();
+    }
+}
+
+/**
+ * Find a task by ID
+ */
+function findTask(id) {
+    return state.tasks.find(task => task.id === id);
+}
+
+/**
+ * Whether a task is planned into today's schedule
+ * Unfinished tasks planned on an earlier day count as unplanned
+ */
+function isPlannedToday(task) {
+    return task.block !== null && task.date === state.milestones.date;
+}
+
+/**
+ * A task's slot in today's plan: '' (unplanned), 'B' (a whole block) or 'B-H' (one hour)
+ */
+function getTaskSlot(task) {
+    if (!isPlannedToday(task)) return '';
+    return task.hour ? `${task.block}-${task.hour}` : `${task.block}`;
+}
+
+/**
+ * Plan a task into a slot of today's schedule (see getTaskSlot)
+ */
+function setTaskSlot(task, slot) {
+    const [block, hour] = slot.split('-').map(Number);
+    task.block = slot ? block : null;
+    task.hour = hour || null;
+    task.date = slot ? state.milestones.date : null;
+}
+
+/**
+ * Fill a select with the slots of the schedule profile
+ */
+function fillSlotSelect(select, selected = '') {
+    select.innerHTML = '';
+    const addOption = (parent, value, label) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        parent.appendChild(option);
+    };
+
+    addOption(select, '', 'Unplanned');
+    for (let block = 1; block <= state.profile.blockCount; block++) {
+        const group = document.createElement('optgroup');
+        group.label = `Block ${block}`;
+        addOption(group, `${block}`, `Whole block ${block}`);
+        for (let hour = 1; hour <= state.profile.hoursPerBlock; hour++) {
+            addOption(group, `${block}-${hour}`, `Hour ${block}-${hour}`);
+        }
+        select.appendChild(group);
+    }
+    select.value = selected;
+}
+
+/**
+ * Add a task to the list, planned into a slot
+ */
+function createTask(title, slot = '') {
+    const task = {
+        id: `${Date.now().toString(36)}${state.tasks.length}`,
+        title,
+        block: null,
+        hour: null,
+        date: null,
+        done: false,
+        doneDate: null
+    };
+    setTaskSlot(task, slot);
+    state.tasks.push(task);
+    saveTasks();
+    return task;
+}
+
+/**
+ * Add a task from the task form
+ */
+function addTask() {
+    const title = elements.taskTitleInput.value.trim();
+    if (!title) {
+        elements.taskTitleInput.focus();
+        return;
+    }
+
+    createTask(title, elements.taskSlotSelect.value);
+    elements.taskTitleInput.value = '';
+    elements.taskTitleInput.focus();
+}
+
+/**
+ * Remove a task
+ */
+function removeTask(task) {
+    state.tasks = state.tasks.filter(other => other !== task);
+    saveTasks();
+}
+
+/**
+ * Mark a task done or open again
+ */
+function setTaskDone(task, done) {
+    task.done = done;
+    task.doneDate = done ? state.milestones.date : null;
+    saveTasks();
+}
+
+/**
+ * The open task planned for the current hour, or else for the whole current block
+ */
+function getPlannedTask(bhp) {
+    const planned = state.tasks.filter(task => !task.done && isPlannedToday(task) && task.block === bhp.block);
+    return planned.find(task => task.hour === bhp.hour) || planned.find(task => task.hour === null) || null;
+}
+
+/**
+ * Open tasks to offer when starting focus: planned for now first, then the rest of today's plan, then unplanned
+ */
+function getFocusCandidates() {
+    const bhp = state.lastTick && state.lastTick.bhp;
+    const rank = task => {
+        if (!isPlannedToday(task)) return 4;
+        if (!bhp || task.block !== bhp.block) return 3;
+        if (task.hour === bhp.hour) return 0;
+        return task.hour === null ? 1 : 2;
+    };
+
+    return state.tasks.filter(task => !task.done).sort((a, b) => rank(a) - rank(b));
+}
+
+/**
+ * The open task a focus session works on: matched by title, or added to the current hour of the plan
+ * so it is not forgotten once focus stops
+ */
+function getTaskForFocus(title) {
+    if (!title) return null;
+
+    const existing = state.tasks.find(task => !task.done && task.title.toLowerCase() === title.toLowerCase());
+    if (existing) return existing;
+
+    const bhp = state.lastTick && state.lastTick.bhp;
+    return createTask(title, bhp ? `${bhp.block}-${bhp.hour}` : '');
+}
+
+/**
+ * Show the task planned for the current hour under the B-H-P time
+ */
+function updatePlannedTask() {
+    const bhp = state.lastTick && state.lastTick.bhp;
+    const task = bhp && !state.isFocusing ? getPlannedTask(bhp) : null;
+    elements.plannedTaskText.textContent = task ? task.title : '';
+}
+
+/**
+ * Toggle task panel visibility
+ */
+function toggleTasks() {
+    const opening = elements.tasksPanel.classList.contains('hidden');
+    elements.tasksPanel.classList.toggle('hidden');
+
+    if (opening) {
+        elements.settingsPanel.classList.add('hidden');
+        elements.historyPanel.classList.add('hidden');
+        hideTeam();
+        pruneTasks();
+        renderTaskList();
+        elements.taskTitleInput.focus();
+    }
+}
+
+/**
+ * Render today's plan, block by block, followed by the unplanned tasks
+ */
+function renderTaskList() {
+    fillSlotSelect(elements.taskSlotSelect, elements.taskSlotSelect.value);
+    elements.taskPlan.innerHTML = '';
+
+    const groups = state.milestones.blocks.map(block => ({
+        title: `Block ${block.number} · ${formatTime(block.start)}-${formatTime(block.end)}`,
+        tasks: state.tasks
+            .filter(task => isPlannedToday(task) && task.block === block.number)
+            .sort((a, b) => (a.hour || 0) - (b.hour || 0))
+    }));
+    groups.push({ title: 'Unplanned', tasks: state.tasks.filter(task => !isPlannedToday(task)) });
+
+    groups.filter(group => group.tasks.length).forEach(group => {
+        const heading = document.createElement('h4');
+        heading.textContent = group.title;
+
+        const list = document.createElement('ul');
+        list.className = 'task-list';
+        group.tasks.forEach(task => list.appendChild(createTaskItem(task)));
+
+        elements.taskPlan.append(heading, list);
+    });
+
+    if (!state.tasks.length) {
+        const empty = document.createElement('p');
+        empty.className = 'setting-hint';
+        empty.textContent = 'Nothing planned yet - add a task and pick the block or hour for it';
+        elements.taskPlan.appendChild(empty);
+    }
+}
+
+/**
+ * List item for one task: done checkbox, title, slot picker and remove button
+ */
+function createTaskItem(task) {
+    const item = document.createElement('li');
+    item.classList.toggle('done', task.done);
+
+    const label = document.createElement('label');
+    const doneInput = document.createElement('input');
+    doneInput.type = 'checkbox';
+    doneInput.checked = task.done;
+    doneInput.addEventListener('change', () => setTaskDone(task, doneInput.checked));
+
+    const title = document.createElement('span');
+    title.textContent = task.title;
+    title.title = task.title;
+    label.append(doneInput, title);
+
+    const slotSelect = document.createElement('select');
+    slotSelect.setAttribute('aria-label', `Plan ${task.title} for`);
+    fillSlotSelect(slotSelect, getTaskSlot(task));
+    slotSelect.addEventListener('change', () => {
+        setTaskSlot(task, slotSelect.value);
+        saveTasks();
+    });
+
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'btn-remove';
+    removeBtn.textContent = '×';
+    removeBtn.setAttribute('aria-label', `Remove ${task.title}`);
+    removeBtn.addEventListener('click', () => removeTask(task));
+
+    item.append(label, slotSelect, removeBtn);
+    return item;
+}
+
+/**
+ * Offer open tasks in the focus input, planned ones first
+ */
+function renderFocusTaskOptions() {
+    elements.focusTaskOptions.innerHTML = '';
+
+    getFocusCandidates().slice(0, MAX_FOCUS_TASK_OPTIONS).forEach(task => {
+        const item = document.createElement('li');
+        const button = document.createElement('button');
+        button.className = 'focus-task-option';
+        button.textContent = task.title;
+        button.title = task.title;
+        button.addEventListener('click', () => {
+            elements.focusTaskInput.value = task.title;
+            startFocus();
+        });
+
+        item.appendChild(button);
+        elements.focusTaskOptions.appendChild(item);
+    });
+}
+
+/**
+ * Titles of open tasks and recently focused ones
+ */
+async function getRecentTaskTitles() {
+    const titles = new Set(state.tasks.filter(task => !task.done).map(task => task.title));
+
+    try {
+        const sessions = await getFocusSessions();
+        for (let i = sessions.length - 1; i >= 0 && titles.size < MAX_TASK_SUGGESTIONS; i--) {
+            titles.add(sessions[i].task);
+        }
+    } catch (error) {
+        console.error('Failed to load recent tasks:', error);
+    }
+
+    return [...titles];
+}
+
+/**
+ * Autocomplete the focus input from open tasks and recently focused ones
+ */
+async function fillTaskSuggestions() {
+    const titles = await getRecentTaskTitles();
+
+    elements.focusTaskSuggestions.innerHTML = '';
+    titles.forEach(title => {
+        const option = document.createElement('option');
+        option.value = title;
+        elements.focusTaskSuggestions.appendChild(option);
+    });
+}
+
+// ==================== Team View ====================
+
+// Last focus state fetched from each teammate's endpoint, by member ID
+// ({ focused, task }, null while unknown or unreachable)
+const teamFocus = new Map();
+// Rings and texts of each card in the team view, by member ID ('' = this clock)
+const teamCards = new Map();
+let teamPollTimer = null;
+
+/**
+ * Load teammates from localStorage
+ */
+function loadTeam() {
+    const saved = localStorage.getItem(TEAM_STORAGE_KEY);
+    if (!saved) return;
+
+    try {
+        // A member without a valid time would break every clock render
+        state.team = JSON.parse(saved).filter(member => isValidTime(member.time));
+    } catch (error) {
+        console.error('Failed to load team:', error);
+    }
+}
+
+/**
+ * Persist teammates and refresh the team view
+ */
+function saveTeam() {
+    storeSetting(TEAM_STORAGE_KEY, JSON.stringify(state.team));
+    renderTeam();
+}
+
+/**
+ * Schedule of a teammate: this clock's profile, anchored to their bedtime or wake time
+ */
+function getMemberSchedule(member) {
+    return {
+        anchor: member.anchor,
+        bedtime: member.anchor === ANCHORS.BEDTIME ? member.time : DEFAULT_BEDTIME,
+        wakeTime: member.anchor === ANCHORS.WAKE ? member.time : DEFAULT_WAKE_TIME,
+        timeZone: member.timeZone,
+        profile: state.profile,
+        weeklySchedule: {},
+        scheduleOverrides: {},
+        customPhases: []
+    };
+}
+
+/**
+ * Where someone is in their day, for their card (see TEAM_STATUS)
+ */
+function getTeamStatus(phase, focusing) {
+    if (focusing) return TEAM_STATUS.FOCUSING;
+    if (isBlockPhase(phase)) return TEAM_STATUS.BLOCK;
+    if (isCustomPhase(phase)) return TEAM_STATUS.BREAK;
+    if (phase === PHASES.WIND_DOWN) return TEAM_STATUS.WIND_DOWN;
+    if (phase === PHASES.SLEEP) return TEAM_STATUS.ASLEEP;
+    return TEAM_STATUS.FREE;
+}
+
+/**
+ * Toggle team panel visibility, checking the teammates' endpoints while it is open
+ */
+function toggleTeam() {
+    if (!elements.teamPanel.classList.contains('hidden')) {
+        hideTeam();
+        return;
+    }
+
+    elements.teamPanel.classList.remove('hidden');
+    elements.settingsPanel.classList.add('hidden');
+    elements.historyPanel.classList.add('hidden');
+    elements.tasksPanel.classList.add('hidden');
+    renderTeam();
+    checkTeamFocus();
+    teamPollTimer = setInterval(checkTeamFocus, POLL_INTERVAL);
+    elements.teamNameInput.focus();
+}
+
+/**
+ * Close the team panel and stop checking the teammates' endpoints
+ */
+function hideTeam() {
+    elements.teamPanel.classList.add('hidden');
+    clearInterval(teamPollTimer);
+    teamPollTimer = null;
+}
+
+/**
+ * Add a teammate from the team form
+ */
+function addTeamMember() {
+    const name = elements.teamNameInput.value.trim();
+    const time = elements.teamTimeInput.value;
+    const timeZone = elements.teamTimeZoneInput.value.trim();
+    const url = elements.teamUrlInput.value.trim().replace(/\/+$/, '');
+
+    let error = null;
+    if (!name) {
+        error = 'Enter a name';
+    } else if (!isValidTime(time)) {
+        error = elements.teamAnchorSelect.value === ANCHORS.WAKE ? 'Enter their wake time' : 'Enter their bedtime';
+    } else if (timeZone && !isValidTimeZone(timeZone)) {
+        error = 'Unknown time zone - pick one from the list';
+    } else if (url && !/^https?:\/\/\S+$/.test(url)) {
+        error = 'Enter an http(s) URL, or leave the endpoint empty';
+    }
+
+    elements.teamError.textContent = error || '';
+    elements.teamError.classList.toggle('hidden', !error);
+    if (error) return;
+
+    state.team.push({
+        id: Date.now().toString(36),
+        name,
+        anchor: elements.teamAnchorSelect.value,
+        time,
+        timeZone,
+        url
+    });
+    saveTeam();
+    checkTeamFocus();
+
+    elements.teamNameInput.value = '';
+    elements.teamTimeInput.value = '';
+    elements.teamTimeZoneInput.value = '';
+    elements.teamUrlInput.value = '';
+    elements.teamNameInput.focus();
+}
+
+/**
+ * Remove a teammate
+ */
+function removeTeamMember(member) {
+    state.team = state.team.filter(other => other.id !== member.id);
+    teamFocus.delete(member.id);
+    saveTeam();
+}
+
+/**
+ * Fetch whether each teammate with an endpoint is focusing (v1 /getState, which v2 endpoints serve too)
+ */
+async function checkTeamFocus() {
+    await Promise.all(state.team.filter(member => member.url).map(async member => {
+        try {
+            const response = await fetch(`${member.url}/getState`);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const data = await response.json();
+            teamFocus.set(member.id, { focused: Boolean(data.focused), task: data.task || '' });
+        } catch (error) {
+            console.error(`Failed to check focus state of ${member.name}:`, error);
+            teamFocus.set(member.id, null);
+        }
+    }));
+
+    if (!elements.teamPanel.classList.contains('hidden')) {
+        updateTeamClocks();
+    }
+}
+
+/**
+ * Rebuild the team view: a card for this clock and each teammate, and the shared block times
+ */
+function renderTeam() {
+    elements.teamClocks.innerHTML = '';
+    teamCards.clear();
+
+    elements.teamClocks.appendChild(createTeamCard('', 'You'));
+    state.team.forEach(member => {
+        elements.teamClocks.appendChild(createTeamCard(member.id, member.name, member));
+    });
+
+    updateTeamClocks();
+}
+
+/**
+ * Card with a compact ring clock, its rings and texts kept in teamCards
+ * A remove button is added for teammates
+ */
+function createTeamCard(id, name, member) {
+    const card = document.createElement('li');
+    card.className = 'team-card';
+
+    const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    svg.setAttribute('class', 'team-clock-svg');
+    svg.setAttribute('viewBox', `0 0 ${CONFIG.viewBoxSize} ${CONFIG.viewBoxSize}`);
+    svg.setAttribute('aria-hidden', 'true');
+
+    const ringGroup = (className) => {
+        const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        group.setAttribute('class', `ring ${className}`);
+        svg.appendChild(group);
+        return group;
+    };
+    const ringCircle = (group, className) => {
+        const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+        circle.setAttribute('class', className);
+        circle.setAttribute('cx', CONFIG.center);
+        circle.setAttribute('cy', CONFIG.center);
+        group.appendChild(circle);
+        return circle;
+    };
+
+    // The main clock's rings, same layout
+    const radii = calculateRadii();
+    const { ringWidth, segmentGap, opacityStep } = CONFIG;
+    const { hoursPerBlock, partsPerHour } = state.profile;
+
+    const hourSegments = createSegments(ringGroup('ring-hour'), hoursPerBlock);
+    setupSegmentedRing(hourSegments, radii[0], hoursPerBlock, segmentGap, ringWidth);
+    const partSegments = createSegments(ringGroup('ring-part'), partsPerHour);
+    setupSegmentedRing(partSegments, radii[1], partsPerHour, segmentGap, ringWidth);
+    partSegments.forEach(s => s.style.opacity = 1 - opacityStep);
+
+    const progressGroup = ringGroup('ring-progress');
+    const progressBg = ringCircle(progressGroup, 'segment-bg');
+    const progressFill = ringCircle(progressGroup, 'segment-fill');
+    setupContinuousRing(progressBg, progressFill, radii[2], ringWidth);
+    progressBg.style.opacity = 1 - opacityStep * 2;
+    progressFill.style.opacity = 1 - opacityStep * 2;
+
+    const dial = document.createElement('div');
+    dial.className = 'team-dial';
+    const bhp = document.createElement('span');
+    bhp.className = 'team-bhp';
+    dial.append(svg, bhp);
+
+    const nameText = document.createElement('span');
+    nameText.className = 'team-name';
+    nameText.textContent = name;
+    nameText.title = name;
+
+    const statusText = document.createElement('span');
+    statusText.className = 'team-status';
+
+    card.append(dial, nameText, statusText);
+
+    if (member) {
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'btn-remove';
+        removeBtn.textContent = '×';
+        removeBtn.setAttribute('aria-label', `Remove ${name}`);
+        removeBtn.addEventListener('click', () => removeTeamMember(member));
+        card.appendChild(removeBtn);
+    }
+
+    teamCards.set(id, { card, hourSegments, partSegments, progressFill, bhp, statusText, member });
+    return card;
+}
+
+/**
+ * Bring the team clocks and shared block times up to date
+ */
+function updateTeamClocks(now = getNow()) {
+    if (elements.teamPanel.classList.contains('hidden')) return;
+
+    teamCards.forEach(({ card, hourSegments, partSegments, progressFill, bhp, statusText, member }) => {
+        const schedule = member ? getMemberSchedule(member) : state;
+        const clock = ClockCore.getClockState(schedule, now);
+        const focus = member ? teamFocus.get(member.id) : { focused: state.isFocusing, task: state.focusTask };
+        const focusing = Boolean(focus && focus.focused);
+
+        // Custom phases inside a block hold where work paused
+        const block = clock.block || (clock.range.block && clock.milestones.blocks.find(b => b.number === clock.range.block));
+        const position = clock.bhp || (block ? ClockCore.calculateBHP(schedule.profile, clock.range.start, block) : null);
+
+        hourSegments.forEach((segment, i) => {
+            segment.classList.toggle('filled', position !== null && i <= position.completedHours);
+        });
+        partSegments.forEach((segment, i) => {
+            segment.classList.toggle('filled', position !== null && i <= position.completedParts);
+        });
+        const progress = clock.bhp ? clock.bhp.partProgress : getRangeProgress(now, clock.range);
+        updateProgressRing(Math.min(Math.max(progress, 0), 1), progressFill);
+
+        card.dataset.status = getTeamStatus(clock.phase, focusing);
+        bhp.textContent = clock.bhp ? `${clock.bhp.block}-${clock.bhp.hour}-${clock.bhp.part}` : '';
+
+        const label = focusing ? `Focusing${focus.task ? `: ${focus.task}` : ''}` : clock.label;
+        const time = member ? ` · ${formatTime(now, member.timeZone)}` : '';
+        statusText.textContent = `${label}${time}`;
+        statusText.title = statusText.textContent;
+    });
+
+    renderSharedBlockTimes(now);
+}
+
+/**
+ * List the times in the next TEAM_PLAN_HOURS when everyone is in a work block
+ */
+function renderSharedBlockTimes(now) {
+    elements.teamSharedTimes.innerHTML = '';
+
+    const schedules = [state, ...state.team.map(getMemberSchedule)];
+    const shared = ClockCore.getSharedBlockTimes(schedules, now, new Date(now.getTime() + TEAM_PLAN_HOURS * 60 * MINUTE));
+
+    const today = toDateKey(now, state.timeZone);
+    shared.forEach(range => {
+        const item = document.createElement('li');
+        const minutes = Math.round((range.end - range.start) / MINUTE);
+        const day = toDateKey(range.start, state.timeZone) === today ? '' : 'Tomorrow ';
+        item.textContent = `${day}${formatTime(range.start)}-${formatTime(range.end)} (${formatMinutes(minutes)})`;
+        elements.teamSharedTimes.appendChild(item);
+    });
+
+    if (!shared.length) {
+        const item = document.createElement('li');
+        item.textContent = `No time in the next ${TEAM_PLAN_HOURS} hours when everyone is in a block`;
+        elements.teamSharedTimes.appendChild(item);
+    }
+}
+
+// ==================== Endpoint Profiles ====================
+
+/**
+ * Load endpoint profiles, moving the single endpoint of earlier versions into a profile
+ */
+function loadEndpoints() {
+    const saved = localStorage.getItem(ENDPOINTS_STORAGE_KEY);
+    if (saved) {
+        try {
+            state.endpoints = JSON.parse(saved);
+        } catch (error) {
+            console.error('Failed to load focus endpoints:', error);
+        }
+    }
+
+    const legacyUrl = localStorage.getItem(LEGACY_ENDPOINT_STORAGE_KEY);
+    const legacyToken = localStorage.getItem(LEGACY_TOKEN_STORAGE_KEY);
+    if (legacyUrl && !state.endpoints.length) {
+        state.endpoints.push({
+            id: LEGACY_ENDPOINT_ID,
+            name: 'Focus endpoint',
+            url: legacyUrl,
+            enabled: true,
+            auth: legacyToken ? AUTH_SCHEMES.BEARER : AUTH_SCHEMES.NONE,
+            // Stays unencrypted, as before, until a passphrase is set
+            token: legacyToken || null
+        });
+        localStorage.setItem(ENDPOINTS_STORAGE_KEY, JSON.stringify(state.endpoints));
+    }
+    localStorage.removeItem(LEGACY_ENDPOINT_STORAGE_KEY);
+    localStorage.removeItem(LEGACY_TOKEN_STORAGE_KEY);
+}
+
+/**
+ * Persist endpoint profiles and refresh the list
+ */
+function saveEndpoints() {
+    storeSetting(ENDPOINTS_STORAGE_KEY, JSON.stringify(state.endpoints));
+    renderEndpointList();
+}
+
+/**
+ * Endpoint profiles that focus changes are sent to
+ */
+function getActiveEndpoints() {
+    return state.endpoints.filter(endpoint => endpoint.enabled);
+}
+
+/**
+ * Find an endpoint profile by ID
+ */
+function findEndpoint(id) {
+    return state.endpoints.find(endpoint => endpoint.id === id);
+}
+
+/**
+ * Add an endpoint profile from the endpoint form
+ */
+async function addEndpoint() {
+    const url = elements.endpointUrlInput.value.trim().replace(/\/+$/, '');
+    const auth = elements.endpointAuthSelect.value;
+    const username = elements.endpointUsernameInput.value.trim();
+    const headerName = elements.endpointHeaderInput.value.trim();
+    const secret = elements.endpointSecretInput.value;
+
+    let error = null;
+    if (!/^https?:\/\/\S+$/.test(url)) {
+        error = 'Enter an http(s) URL';
+    } else if (auth === AUTH_SCHEMES.BASIC && !username) {
+        error = 'Enter the user name';
+    } else if (auth === AUTH_SCHEMES.HEADER && !/^[\w-]+$/.test(headerName)) {
+        error = 'Enter the header name';
+    } else if (auth !== AUTH_SCHEMES.NONE && !secret) {
+        error = 'Enter the token';
+    } else if (auth !== AUTH_SCHEMES.NONE) {
+        error = getTokenSaveError();
+    }
+
+    elements.endpointError.textContent = error || '';
+    elements.endpointError.classList.toggle('hidden', !error);
+    if (error) return;
+
+    const endpoint = {
+        id: Date.now().toString(36),
+        name: elements.endpointNameInput.value.trim() || new URL(url).host,
+        url,
+        enabled: true,
+        auth,
+        token: null
+    };
+    if (auth === AUTH_SCHEMES.BASIC) {
+        endpoint.username = username;
+    } else if (auth === AUTH_SCHEMES.HEADER) {
+        endpoint.headerName = headerName;
+    }
+    if (auth !== AUTH_SCHEMES.NONE) {
+        endpoint.token = await TokenVault.encrypt(vaultKey, secret);
+        secrets.set(endpoint, secret);
+    }
+
+    state.endpoints.push(endpoint);
+    saveEndpoints();
+    joinEndpoint(endpoint);
+
+    elements.endpointNameInput.value = '';
+    elements.endpointUrlInput.value = '';
+    elements.endpointUsernameInput.value = '';
+    elements.endpointHeaderInput.value = '';
+    elements.endpointSecretInput.value = '';
+}
+
+/**
+ * Remove an endpoint profile, with its token and undelivered calls
+ */
+function removeEndpoint(endpoint) {
+    disconnectEndpoint(endpoint.id);
+    clearOutbox(endpoint);
+    secrets.delete(endpoint);
+    state.endpoints = state.endpoints.filter(other => other.id !== endpoint.id);
+    saveEndpoints();
+    updateSyncStatus();
+}
+
+/**
+ * Turn sending focus changes to an endpoint on or off
+ */
+function setEndpointEnabled(endpoint, enabled) {
+    endpoint.enabled = enabled;
+    saveEndpoints();
+
+    if (enabled) {
+        joinEndpoint(endpoint);
+    } else {
+        disconnectEndpoint(endpoint.id);
+        clearOutbox(endpoint);
+    }
+}
+
+/**
+ * Start following a newly enabled endpoint
+ * A running session is sent to it first, so its idle state does not end the session here
+ */
+function joinEndpoint(endpoint) {
+    connectEndpoint(endpoint);
+    if (state.focusSession) {
+        queueEndpointCall('start', state.focusSession, [endpoint]);
+    }
+}
+
+/**
+ * Describe how an endpoint authenticates
+ */
+function describeEndpointAuth(endpoint) {
+    if (endpoint.auth === AUTH_SCHEMES.NONE) return 'no auth';
+    if (!endpoint.token) return 'token missing';
+    if (isTokenLocked(endpoint)) return 'locked';
+
+    const scheme = {
+        bearer: 'bearer token',
+        basic: `basic auth as ${endpoint.username}`,
+        header: `${endpoint.headerName} header`
+    }[endpoint.auth];
+    return typeof endpoint.token === 'string' ? `${scheme} (not encrypted)` : scheme;
+}
+
+/**
+ * Render the endpoint list in the settings panel
+ */
+function renderEndpointList() {
+    elements.endpointList.innerHTML = '';
+
+    state.endpoints.forEach(endpoint => {
+        const item = document.createElement('li');
+
+        const label = document.createElement('label');
+        const toggle = document.createElement('input');
+        toggle.type = 'checkbox';
+        toggle.checked = endpoint.enabled;
+        toggle.addEventListener('change', () => setEndpointEnabled(endpoint, toggle.checked));
+
+        const text = document.createElement('span');
+        text.textContent = `${endpoint.name} · ${describeEndpointAuth(endpoint)}`;
+        text.title = endpoint.url;
+        label.append(toggle, text);
+
+        const testBtn = document.createElement('button');
+        testBtn.className = 'btn-preview';
+        testBtn.textContent = 'Test';
+        testBtn.addEventListener('click', () => testEndpoint(endpoint, testBtn));
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'btn-remove';
+        removeBtn.textContent = '×';
+        removeBtn.setAttribute('aria-label', `Remove ${endpoint.name}`);
+        removeBtn.addEventListener('click', () => removeEndpoint(endpoint));
+
+        item.append(label, testBtn, removeBtn);
+        elements.endpointList.appendChild(item);
+    });
+}
+
+/**
+ * Show the inputs the chosen auth scheme needs
+ */
+function updateEndpointAuthInputs() {
+    const auth = elements.endpointAuthSelect.value;
+    elements.endpointUsernameInput.classList.toggle('hidden', auth !== AUTH_SCHEMES.BASIC);
+    elements.endpointHeaderInput.classList.toggle('hidden', auth !== AUTH_SCHEMES.HEADER);
+    elements.endpointSecretInput.classList.toggle('hidden', auth === AUTH_SCHEMES.NONE);
+    elements.endpointSecretInput.placeholder = auth === AUTH_SCHEMES.BASIC ? 'Password' : 'Token';
+}
+
+/**
+ * Auth headers for an endpoint profile or webhook, from its decrypted token
+ * Webhooks have no auth scheme and always send a bearer token
+ */
+function getAuthHeaders(owner) {
+    const secret = secrets.get(owner);
+    if (!secret) return {};
+
+    switch (owner.auth) {
+        case AUTH_SCHEMES.BASIC: {
+            const credentials = new TextEncoder().encode(`${owner.username}:${secret}`);
+            return { 'Authorization': `Basic ${TokenVault.toBase64(credentials)}` };
+        }
+        case AUTH_SCHEMES.HEADER:
+            return { [owner.headerName]: secret };
+        default:
+            return { 'Authorization': `Bearer ${secret}` };
+    }
+}
+
+/**
+ * Get headers for API requests to an endpoint
+ */
+function getApiHeaders(endpoint) {
+    return { 'Content-Type': 'application/json', ...getAuthHeaders(endpoint) };
+}
+
+/**
+ * Test an endpoint's connection
+ */
+async function testEndpoint(endpoint, testBtn) {
+    const testResult = elements.endpointResult;
+
+    if (isTokenLocked(endpoint)) {
+        testResult.textContent = `${endpoint.name}: enter the token passphrase first`;
+        testResult.className = 'test-result error';
+        return;
+    }
+
+    testBtn.disabled = true;
+    testResult.classList.add('hidden');
+
+    try {
+        const version = await detectEndpointVersion(endpoint);
+        // Undetected (e.g. rejected token): ask /v2/state again to show why
+        const statePath = version === 1 ? '/getState' : '/v2/state';
+        const response = await fetch(`${endpoint.url}${statePath}`, {
+            method: 'GET',
+            headers: getApiHeaders(endpoint)
+        });
+
+        if (response.ok) {
+            const data = await response.json();
+            testResult.textContent = `${endpoint.name}: connected (protocol v${version})! Status: ${data.focused ? 'Focusing' : 'Not focusing'}`;
+            testResult.className = 'test-result success';
+        } else {
+            testResult.textContent = `${endpoint.name}: error ${response.status} ${response.statusText}`;
+            testResult.className = 'test-result error';
+        }
+    } catch (error) {
+        testResult.textContent = `${endpoint.name}: connection failed: ${error.message}`;
+        testResult.className = 'test-result error';
+    }
+
+    testBtn.disabled = false;
+}
+
+// ==================== Token Vault ====================
+
+// Key from the token passphrase (see token-vault.js), only held in memory while unlocked
+let vaultKey = null;
+// Decrypted tokens by endpoint profile or webhook
+const secrets = new Map();
+
+/**
+ * Load the stored vault (salt and passphrase check), or null before a passphrase is set
+ */
+function loadVault() {
+    const saved = localStorage.getItem(VAULT_STORAGE_KEY);
+    if (!saved) return null;
+
+    try {
+        return JSON.parse(saved);
+    } catch (error) {
+        console.error('Failed to load token vault:', error);
+        return null;
+    }
+}
+
+/**
+ * Everything that can have a token
+ */
+function getTokenOwners() {
+    return [...state.endpoints, ...state.webhooks];
+}
+
+/**
+ * Use tokens saved before the vault existed as they are, until a passphrase encrypts them
+ */
+function loadPlainTokens() {
+    getTokenOwners().forEach(owner => {
+        if (typeof owner.token === 'string') {
+            secrets.set(owner, owner.token);
+        }
+    });
+}
+
+/**
+ * Whether an endpoint or webhook has a token that cannot be read until the vault is unlocked
+ */
+function isTokenLocked(owner) {
+    return Boolean(owner.token) && !secrets.has(owner);
+}
+
+/**
+ * Why a new token cannot be saved right now, or null when it can
+ */
+function getTokenSaveError() {
+    if (vaultKey) return null;
+    return loadVault() ? 'Unlock the token passphrase first' : 'Set a token passphrase first';
+}
+
+/**
+ * Set the passphrase, unlock the vault with it, or lock it again
+ */
+async function handleVaultButton() {
+    if (vaultKey) {
+        lockVault();
+        postTabMessage({ type: 'vault', key: null });
+        return;
+    }
+
+    const passphrase = elements.passphraseInput.value;
+    if (!passphrase) {
+        elements.passphraseInput.focus();
+        return;
+    }
+
+    elements.vaultButton.disabled = true;
+    const vault = loadVault();
+    let key = null;
+    let error = null;
+    try {
+        if (vault) {
+            key = await TokenVault.unlockVault(vault, passphrase);
+        } else {
+            const created = await TokenVault.createVault(passphrase);
+            storeSetting(VAULT_STORAGE_KEY, JSON.stringify(created.vault));
+            key = created.key;
+        }
+        if (!key) error = 'Wrong passphrase';
+    } catch (failure) {
+        // e.g. no WebCrypto, which browsers only offer on https and localhost
+        console.error('Token vault failed:', failure);
+        error = `Cannot ${vault ? 'unlock' : 'set up'} the tokens: ${failure.message}`;
+    } finally {
+        elements.vaultButton.disabled = false;
+    }
+
+    elements.vaultError.textContent = error || '';
+    elements.vaultError.classList.toggle('hidden', !error);
+    if (!key) return;
+
+    vaultKey = key;
+    elements.passphraseInput.value = '';
+    await unlockTokens();
+    postTabMessage({ type: 'vault', key });
+}
+
+/**
+ * Decrypt the saved tokens (encrypting any still in plain text) and reconnect with them
+ */
+async function unlockTokens() {
+    let encrypted = false;
+
+    for (const owner of getTokenOwners()) {
+        if (typeof owner.token === 'string') {
+            owner.token = await TokenVault.encrypt(vaultKey, owner.token);
+            encrypted = true;
+        }
+    }
+    await decryptTokens();
+
+    if (encrypted) {
+        saveEndpoints();
+        saveWebhooks();
+    }
+    updateVaultStatus();
+    renderEndpointList();
+    connectEndpoints();
+}
+
+/**
+ * Decrypt the saved tokens with the vault key
+ */
+async function decryptTokens() {
+    for (const owner of getTokenOwners()) {
+        if (owner.token && typeof owner.token !== 'string') {
+            try {
+                secrets.set(owner, await TokenVault.decrypt(vaultKey, owner.token));
+            } catch (error) {
+                console.error(`Failed to decrypt the token for ${owner.name}:`, error);
+            }
+        }
+    }
+}
+
+/**
+ * Forget the key and the decrypted tokens until the passphrase is entered again
+ */
+function lockVault() {
+    vaultKey = null;
+    secrets.clear();
+    updateVaultStatus();
+    renderEndpointList();
+    connectEndpoints();
+}
+
+/**
+ * Start over after a forgotten passphrase - the saved tokens cannot be recovered
+ */
+function resetVault() {
+    if (!confirm('Forget the passphrase and delete all saved endpoint and webhook tokens?')) {
+        return;
+    }
+
+    storeSetting(VAULT_STORAGE_KEY, null);
+    vaultKey = null;
+    secrets.clear();
+    getTokenOwners().forEach(owner => {
+        owner.token = null;
+    });
+    saveEndpoints();
+    saveWebhooks();
+
+    elements.vaultError.classList.add('hidden');
+    updateVaultStatus();
+    connectEndpoints();
+    postTabMessage({ type: 'vault', key: null });
+}
+
+/**
+ * Show whether tokens are locked, unlocked or still waiting for a passphrase
+ */
+function updateVaultStatus() {
+    const vault = loadVault();
+    const plain = getTokenOwners().filter(owner => typeof owner.token === 'string').length;
+
+    let text;
+    if (vaultKey) {
+        text = 'Tokens unlocked until this page is closed';
+    } else if (vault) {
+        text = 'Tokens locked - enter the passphrase to use them';
+    } else if (plain) {
+        text = `${plain} token${plain === 1 ? ' is' : 's are'} saved unencrypted - set a passphrase to encrypt ${plain === 1 ? 'it' : 'them'}`;
+    } else {
+        text = 'Tokens are saved encrypted with this passphrase, which is never stored';
+    }
+
+    elements.vaultStatus.textContent = text;
+    elements.vaultButton.textContent = vaultKey ? 'Lock' : vault ? 'Unlock' : 'Set Passphrase';
+    elements.vaultResetButton.disabled = !vault;
+    elements.passphraseInput.disabled = Boolean(vaultKey);
+}
+
+// ==================== Focus Endpoint ====================
+
+// Live connection per endpoint profile ID: { version, streamController, streamRetryTimer,
+// streamRetryDelay, pollTimer, error, rejectedAuth }, version is the detected protocol (null until known)
+// and rejectedAuth the auth headers the endpoint refused (null while none were)
+const endpointConnections = new Map();
+let heartbeatTimer = null;
+
+/**
+ * (Re)connect to every enabled endpoint
+ */
+function connectEndpoints() {
+    [...endpointConnections.keys()].forEach(disconnectEndpoint);
+    getActiveEndpoints().forEach(connectEndpoint);
+    updateSyncStatus();
+}
+
+/**
+ * (Re)connect to an endpoint: detect its protocol, fetch the focus state,
+ * then follow changes through the event stream (v2) or by polling (v1, or while the stream is down)
+ */
+async function connectEndpoint(endpoint) {
+    // Other tabs leave the endpoints to the leader
+    if (!isLeaderTab) return;
+
+    disconnectEndpoint(endpoint.id);
+    const connection = {
+        version: null,
+        streamController: null,
+        streamRetryTimer: null,
+        streamRetryDelay: STREAM_RETRY_DELAY,
+        pollTimer: null,
+        error: false,
+        rejectedAuth: null
+    };
+    endpointConnections.set(endpoint.id, connection);
+
+    // Unlocking the tokens reconnects
+    if (isTokenLocked(endpoint)) return;
+
+    // Calls queued while the page was closed go first, then the state is reconciled
+    if (hasPendingCalls(endpoint)) {
+        await flushOutbox();
+    } else {
+        await checkEndpointState(endpoint);
+    }
+
+    // The stream is opened once the endpoint turns out to speak v2, until then poll
+    if (endpointConnections.get(endpoint.id) === connection && !connection.streamController) {
+        startPolling(endpoint);
+    }
+}
+
+/**
+ * Stop following an endpoint
+ */
+function disconnectEndpoint(id) {
+    const connection = endpointConnections.get(id);
+    if (!connection) return;
+
+    endpointConnections.delete(id);
+    if (connection.streamController) {
+        connection.streamController.abort();
+        connection.streamController = null;
+    }
+    clearTimeout(connection.streamRetryTimer);
+    stopPolling(connection);
+    updateHeartbeat();
+    updateSyncStatus();
+}
+
+/**
+ * Find out which protocol an endpoint speaks: 2 if it answers /v2/state, 1 if it has no such route
+ * Returns null when the endpoint cannot be reached or fails otherwise (auth, server error),
+ * so detection is retried later
+ */
+async function detectEndpointVersion(endpoint) {
+    try {
+        const response = await fetch(`${endpoint.url}/v2/state`, { headers: getApiHeaders(endpoint) });
+        trackTokenRejection(endpoint, response);
+        if (response.ok) {
+            // A v1 server may answer unknown paths with a page rather than a 404
+            const data = await response.json().catch(() => null);
+            return data && data.version === ENDPOINT_PROTOCOL_VERSION ? ENDPOINT_PROTOCOL_VERSION : 1;
+        }
+        return response.status === 404 || response.status === 405 ? 1 : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Make a v2 protocol request
+ * Resolves to the response (callers check the status), rejects on network errors
+ */
+function endpointRequest(endpoint, method, path, body) {
+    return fetch(`${endpoint.url}/v2${path}`, {
+        method,
+        headers: getApiHeaders(endpoint),
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+}
+
+/**
+ * Check focus state on every enabled endpoint
+ */
+function checkFocusState() {
+    return Promise.all(getActiveEndpoints().map(checkEndpointState));
+}
+
+/**
+ * Check focus state from an endpoint
+ */
+async function checkEndpointState(endpoint) {
+    const connection = endpointConnections.get(endpoint.id);
+    if (!connection || isTokenLocked(endpoint)) return;
+
+    try {
+        if (connection.version === null) {
+            connection.version = await detectEndpointVersion(endpoint);
+            if (connection.version === null) {
+                setEndpointReachable(endpoint, false);
+                return;
+            }
+        }
+
+        let remote = null;
+        if (connection.version === 2) {
+            const response = await endpointRequest(endpoint, 'GET', '/state');
+            trackTokenRejection(endpoint, response);
+            setEndpointReachable(endpoint, response.ok);
+            if (response.ok) {
+                remote = await response.json();
+            }
+        } else {
+            const response = await fetch(`${endpoint.url}/getState`, {
+                headers: getApiHeaders(endpoint)
+            });
+            trackTokenRejection(endpoint, response);
+            setEndpointReachable(endpoint, response.ok);
+            if (response.ok) {
+                const data = await response.json();
+                remote = {
+                    focused: data.focused || false,
+                    session: data.focused ? { task: data.task || '' } : null
+                };
+            }
+        }
+
+        // Disabled or reconnected while the request was out
+        if (!remote || endpointConnections.get(endpoint.id) !== connection) return;
+
+        applyRemoteState(remote, endpoint);
+        if (connection.version === 2) {
+            syncSettings(endpoint);
+        }
+        if (connection.version === 2 && !connection.streamController) {
+            openEventStream(endpoint);
+        }
+    } catch (error) {
+        console.error(`Failed to check focus state on ${endpoint.name}:`, error);
+        setEndpointReachable(endpoint, false);
+    }
+}
+
+/**
+ * Bring the local focus state in line with an endpoint's
+ * Keeps the history log in step with focus started or stopped elsewhere,
+ * and passes the change on to the other enabled endpoints
+ */
+function applyRemoteState(remote, endpoint) {
+    // Local changes still waiting for this endpoint are newer than what it knows
+    if (hasPendingCalls(endpoint)) return;
+
+    const session = remote.focused ? remote.session : null;
+    const local = state.focusSession;
+    const others = getActiveEndpoints().filter(other => other.id !== endpoint.id);
+
+    // v1 endpoints have no session IDs, so only v2 can tell a replaced session apart
+    const replaced = session && local && session.id && local.sessionId !== session.id;
+
+    if (local && (!session || replaced)) {
+        state.isFocusing = false;
+        state.focusTask = '';
+        finishFocusSession();
+        queueEndpointCall('stop', local, others);
+    }
+
+    if (session && !state.focusSession) {
+        state.isFocusing = true;
+        state.focusTask = session.task;
+        beginFocusSession(session.task, session);
+        queueEndpointCall('start', state.focusSession, others);
+    }
+
+    updateFocusUI();
+    shareFocusState();
+    updateHeartbeat();
+}
+
+/**
+ * Send heartbeats while focusing with a v2 endpoint connected, and stop them otherwise
+ */
+function updateHeartbeat() {
+    const wanted = state.isFocusing && state.focusSession &&
+        [...endpointConnections.values()].some(connection => connection.version === 2);
+
+    if (wanted && !heartbeatTimer) {
+        heartbeatTimer = setInterval(sendHeartbeat, HEARTBEAT_INTERVAL);
+    } else if (!wanted && heartbeatTimer) {
+        clearInterval(heartbeatTimer);
+        heartbeatTimer = null;
+    }
+}
+
+/**
+ * Tell the v2 endpoints the session is still running, and where in the day it is
+ */
+async function sendHeartbeat() {
+    const session = state.focusSession;
+    if (!session) return;
+
+    const now = getNow();
+    const body = {
+        at: now.toISOString(),
+        bhp: getBHPLabel(now),
+        phase: getCurrentPhase(now)
+    };
+
+    await Promise.all(getActiveEndpoints().map(async endpoint => {
+        const connection = endpointConnections.get(endpoint.id);
+        // Endpoints still waiting for the start call hear about the session from the outbox
+        if (!connection || connection.version !== 2 || hasPendingCalls(endpoint) || isTokenLocked(endpoint)) return;
+
+        try {
+            const response = await endpointRequest(endpoint, 'POST', `/sessions/${encodeURIComponent(session.sessionId)}/heartbeat`, body);
+
+            setEndpointReachable(endpoint, response.status < 500);
+
+            // The session was stopped or expired on the endpoint
+            if (response.status === 404 || response.status === 410) {
+                await checkEndpointState(endpoint);
+            }
+        } catch (error) {
+            console.error(`Failed to send heartbeat to ${endpoint.name}:`, error);
+            setEndpointReachable(endpoint, false);
+        }
+    }));
+}
+
+/**
+ * Follow state changes pushed by a v2 endpoint (Server-Sent Events)
+ * Read with fetch rather than EventSource so the token can go in a header
+ */
+async function openEventStream(endpoint) {
+    const connection = endpointConnections.get(endpoint.id);
+    const controller = new AbortController();
+    connection.streamController = controller;
+
+    try {
+        const response = await fetch(`${endpoint.url}/v2/events`, {
+            headers: { ...getApiHeaders(endpoint), Accept: 'text/event-stream' },
+            signal: controller.signal
+        });
+        if (!response.ok || !response.body) {
+            throw new Error(`Event stream unavailable (${response.status})`);
+        }
+
+        // Connected - polling is only needed while the stream is down
+        stopPolling(connection);
+        connection.streamRetryDelay = STREAM_RETRY_DELAY;
+
+        const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+        let buffer = '';
+        for (;;) {
+            const { value, done } = await reader.read();
+            if (done) break;
+
+            buffer += value.replace(/\r\n?/g, '\n');
+            const messages = buffer.split('\n\n');
+            buffer = messages.pop();
+            // Settings reloaded meanwhile replace the endpoint objects, so look the endpoint up again
+            messages.forEach(message => handleStreamMessage(message, findEndpoint(endpoint.id) || endpoint));
+        }
+    } catch (error) {
+        if (controller.signal.aborted) return;
+        console.error(`Focus event stream from ${endpoint.name} failed:`, error);
+    }
+
+    if (connection.streamController !== controller) return;
+
+    // Poll until the stream is back, retrying with backoff
+    startPolling(endpoint);
+    connection.streamRetryTimer = setTimeout(() => {
+        if (connection.streamController === controller) openEventStream(findEndpoint(endpoint.id) || endpoint);
+    }, connection.streamRetryDelay);
+    connection.streamRetryDelay = Math.min(connection.streamRetryDelay * 2, MAX_STREAM_RETRY_DELAY);
+}
+
+/**
+ * Handle one Server-Sent Events message from an endpoint
+ */
+function handleStreamMessage(message, endpoint) {
+    let event = 'message';
+    const data = [];
+
+    message.split('\n').forEach(line => {
+        if (line.startsWith('event:')) {
+            event = line.slice(6).trim();
+        } else if (line.startsWith('data:')) {
+            data.push(line.slice(5).trimStart());
+        }
+    });
+
+    // Settings changed on another device
+    if (event === 'settings') {
+        syncSettings(endpoint);
+        return;
+    }
+
+    if (event !== 'state' || !data.length) return;
+
+    try {
+        applyRemoteState(JSON.parse(data.join('\n')), endpoint);
+    } catch (error) {
+        console.error('Invalid focus state event:', error);
+    }
+}
+
+/**
+ * Poll an endpoint for focus changes
+ * Looked up by ID on every poll, since reloading the settings replaces the endpoint objects
+ */
+function startPolling(endpoint) {
+    const connection = endpointConnections.get(endpoint.id);
+    if (connection && !connection.pollTimer) {
+        connection.pollTimer = setInterval(() => {
+            const current = findEndpoint(endpoint.id);
+            if (current) checkEndpointState(current);
+        }, POLL_INTERVAL);
+    }
+}
+
+/**
+ * Stop polling an endpoint
+ */
+function stopPolling(connection) {
+    clearInterval(connection.pollTimer);
+    connection.pollTimer = null;
+}
+
+// ==================== Endpoint Outbox ====================
+
+// Retry timer for undelivered calls, whether a flush is running and the call it is sending
+let outboxTimer = null;
+let outboxRetryDelay = OUTBOX_RETRY_DELAY;
+let outboxFlushing = false;
+let outboxSending = null;
+
+/**
+ * Load endpoint calls that were not delivered before the page closed
+ */
+function loadOutbox() {
+    const saved = localStorage.getItem(OUTBOX_STORAGE_KEY);
+    if (!saved) return;
+
+    try {
+        // Calls queued before endpoint profiles were for the endpoint that became the first profile
+        state.endpointOutbox = JSON.parse(saved)
+            .map(item => ({ endpointId: LEGACY_ENDPOINT_ID, ...item }))
+            .filter(item => findEndpoint(item.endpointId));
+    } catch (error) {
+        console.error('Failed to load endpoint outbox:', error);
+        localStorage.removeItem(OUTBOX_STORAGE_KEY);
+    }
+}
+
+/**
+ * Persist the outbox, so a reload or closed tab does not lose calls
+ */
+function saveOutbox() {
+    if (state.endpointOutbox.length) {
+        localStorage.setItem(OUTBOX_STORAGE_KEY, JSON.stringify(state.endpointOutbox));
+    } else {
+        localStorage.removeItem(OUTBOX_STORAGE_KEY);
+    }
+}
+
+/**
+ * Whether calls are waiting to be delivered to an endpoint
+ */
+function hasPendingCalls(endpoint) {
+    return state.endpointOutbox.some(item => item.endpointId === endpoint.id);
+}
+
+/**
+ * Queue a start or stop call for each endpoint (all enabled ones by default) and try to deliver them
+ */
+function queueEndpointCall(type, session, endpoints = getActiveEndpoints()) {
+    // Other tabs share focus changes with the leader, which sends them (see applyTabFocusState)
+    if (!session || !endpoints.length || !isLeaderTab) return;
+
+    const now = getNow();
+    endpoints.forEach(endpoint => {
+        if (type === 'stop') {
+            // A start that never reached the endpoint is dropped together with its stop
+            const pendingStart = state.endpointOutbox.findIndex(item =>
+                item !== outboxSending && item.endpointId === endpoint.id &&
+                item.type === 'start' && item.session.sessionId === session.sessionId
+            );
+            if (pendingStart !== -1) {
+                state.endpointOutbox.splice(pendingStart, 1);
+                return;
+            }
+        }
+
+        const item = { endpointId: endpoint.id, type, session };
+        if (type === 'stop') {
+            item.endedAt = now.toISOString();
+            item.bhp = getBHPLabel(now);
+        }
+        state.endpointOutbox.push(item);
+    });
+
+    saveOutbox();
+    updateSyncStatus();
+    flushOutbox();
+}
+
+/**
+ * Deliver queued calls in order, retrying with backoff while an endpoint cannot be reached
+ * An unreachable endpoint does not hold up the others, calls for endpoints with a locked
+ * token wait for the passphrase and those with a refused token for a new one.
+ * Endpoints that are caught up reconcile their focus state
+ */
+async function flushOutbox() {
+    if (outboxFlushing || !state.endpointOutbox.length) return;
+
+    clearTimeout(outboxTimer);
+    outboxFlushing = true;
+    updateSyncStatus();
+
+    const failed = new Set();
+    const caughtUp = new Set();
+    try {
+        for (;;) {
+            // Calls for endpoints removed meanwhile (e.g. in another tab) go with them
+            const orphaned = state.endpointOutbox.filter(queued => !findEndpoint(queued.endpointId));
+            if (orphaned.length) {
+                state.endpointOutbox = state.endpointOutbox.filter(queued => !orphaned.includes(queued));
+                saveOutbox();
+            }
+
+            const item = state.endpointOutbox.find(queued => {
+                const endpoint = findEndpoint(queued.endpointId);
+                return !failed.has(endpoint.id) && !isTokenLocked(endpoint) && !isTokenRejected(endpoint);
+            });
+            if (!item) break;
+
+            const endpoint = findEndpoint(item.endpointId);
+            outboxSending = item;
+            try {
+                await deliverEndpointCall(endpoint, item);
+                // The endpoint may have been removed or disabled meanwhile, taking its calls along
+                const index = state.endpointOutbox.indexOf(item);
+                if (index !== -1) {
+                    state.endpointOutbox.splice(index, 1);
+                }
+                saveOutbox();
+                caughtUp.add(endpoint.id);
+            } catch (error) {
+                caughtUp.delete(endpoint.id);
+                if (isTokenRejected(endpoint)) {
+                    console.error(`Focus endpoint ${endpoint.name} refused the token, calls wait until it changes:`, error);
+                    updateSyncStatus();
+                } else {
+                    console.error(`Call to focus endpoint ${endpoint.name} failed, will retry:`, error);
+                    failed.add(endpoint.id);
+                    setEndpointReachable(endpoint, false);
+                }
+            }
+        }
+    } finally {
+        // Whatever happens, later flushes must not find this one still running
+        outboxSending = null;
+        outboxFlushing = false;
+    }
+
+    if (failed.size) {
+        outboxTimer = setTimeout(flushOutbox, outboxRetryDelay);
+        outboxRetryDelay = Math.min(outboxRetryDelay * 2, MAX_OUTBOX_RETRY_DELAY);
+    } else {
+        outboxRetryDelay = OUTBOX_RETRY_DELAY;
+    }
+
+    // By ID, as settings reloaded during the flush replace the endpoint objects
+    const endpoints = [...caughtUp].map(findEndpoint).filter(Boolean);
+    endpoints.forEach(endpoint => setEndpointReachable(endpoint, true));
+    updateSyncStatus();
+
+    await Promise.all(endpoints.map(checkEndpointState));
+}
+
+/**
+ * Send one queued call
+ * Rejects when it is worth retrying (network down, server error) or the token was refused;
+ * other refusals (e.g. another session running, session already stopped) are settled by reconciling
+ */
+async function deliverEndpointCall(endpoint, item) {
+    const connection = endpointConnections.get(endpoint.id);
+    if (!connection) {
+        throw new Error('Endpoint not connected');
+    }
+    if (connection.version === null) {
+        connection.version = await detectEndpointVersion(endpoint);
+        if (connection.version === null) {
+            throw new Error('Endpoint unreachable');
+        }
+    }
+
+    const { session } = item;
+    let response;
+
+    if (connection.version === 2 && item.type === 'start') {
+        response = await endpointRequest(endpoint, 'POST', '/sessions', {
+            id: session.sessionId,
+            task: session.task,
+            startedAt: new Date(session.start).toISOString(),
+            bhp: session.bhpStart,
+            phase: session.phase
+        });
+    } else if (connection.version === 2) {
+        response = await endpointRequest(endpoint, 'POST', `/sessions/${encodeURIComponent(session.sessionId)}/stop`, {
+            endedAt: item.endedAt,
+            bhp: item.bhp
+        });
+    } else {
+        response = await fetch(`${endpoint.url}/${item.type}`, {
+            method: 'POST',
+            headers: getApiHeaders(endpoint),
+            body: item.type === 'start' ? JSON.stringify({ task: session.task }) : undefined
+        });
+    }
+
+    trackTokenRejection(endpoint, response);
+    if (isTokenRejected(endpoint) || RETRY_STATUSES.includes(response.status) || response.status >= 500) {
+        throw new Error(`${response.status} ${response.statusText}`);
+    }
+}
+
+/**
+ * Forget undelivered calls for an endpoint (it was removed or disabled)
+ */
+function clearOutbox(endpoint) {
+    state.endpointOutbox = state.endpointOutbox.filter(item => item.endpointId !== endpoint.id);
+    saveOutbox();
+    updateSyncStatus();
+}
+
+/**
+ * Record whether an endpoint refused the credentials a response was sent with
+ */
+function trackTokenRejection(endpoint, response) {
+    const connection = endpointConnections.get(endpoint.id);
+    if (connection) {
+        connection.rejectedAuth = TOKEN_REJECTED_STATUSES.includes(response.status)
+            ? JSON.stringify(getAuthHeaders(endpoint))
+            : null;
+    }
+}
+
+/**
+ * Whether an endpoint refused the credentials it would be sent now (they have not changed since)
+ */
+function isTokenRejected(endpoint) {
+    const connection = endpointConnections.get(endpoint.id);
+    return Boolean(connection && connection.rejectedAuth === JSON.stringify(getAuthHeaders(endpoint)));
+}
+
+/**
+ * Record whether an endpoint answered, and deliver waiting calls once it does again
+ */
+function setEndpointReachable(endpoint, reachable) {
+    const connection = endpointConnections.get(endpoint.id);
+    if (connection) {
+        connection.error = !reachable;
+    }
+    if (reachable && hasPendingCalls(endpoint)) {
+        flushOutbox();
+    }
+    updateSyncStatus();
+}
+
+/**
+ * Show whether the endpoints are in sync, have calls waiting, need the passphrase or a new token,
+ * or cannot be reached
+ * Other tabs show the leader's status, as only the leader talks to the endpoints
+ */
+function updateSyncStatus() {
+    if (!isLeaderTab) return;
+
+    const endpoints = getActiveEndpoints();
+    if (!endpoints.length) {
+        showSyncStatus(null);
+        postTabMessage({ type: 'syncStatus', view: null });
+        return;
+    }
+
+    const pending = state.endpointOutbox.length;
+    const waiting = `${pending} change${pending === 1 ? '' : 's'} waiting`;
+    const rejected = endpoints.filter(isTokenRejected).map(endpoint => endpoint.name);
+    const unreachable = endpoints
+        .filter(endpoint => (endpointConnections.get(endpoint.id) || {}).error && !isTokenRejected(endpoint))
+        .map(endpoint => endpoint.name);
+    const locked = endpoints.filter(isTokenLocked).map(endpoint => endpoint.name);
+
+    let status = 'synced';
+    if (rejected.length || unreachable.length) {
+        status = 'error';
+    } else if (locked.length) {
+        status = 'locked';
+    } else if (pending || outboxFlushing) {
+        status = 'pending';
+    }
+
+    const text = {
+        synced: endpoints.length === 1 ? 'Focus endpoint in sync' : `${endpoints.length} focus endpoints in sync`,
+        pending: `${pending} focus change${pending === 1 ? '' : 's'} waiting to sync`,
+        locked: `Token locked for ${locked.join(', ')}${pending ? ` - ${waiting}` : ''}, enter the passphrase in the settings`,
+        error: rejected.length
+            ? `Token refused by ${rejected.join(', ')}${pending ? ` - ${waiting}` : ''}, update it in the settings`
+            : `Cannot reach ${unreachable.join(', ')}${pending ? ` - ${waiting}, retrying` : ''}`
+    }[status];
+
+    const label = {
+        synced: 'Synced',
+        pending: `Pending${pending ? ` ${pending}` : ''}`,
+        locked: 'Locked',
+        error: rejected.length ? 'Refused' : 'Offline'
+    }[status];
+
+    const view = { status, text, label };
+    showSyncStatus(view);
+    postTabMessage({ type: 'syncStatus', view });
+}
+
+/**
+ * Show a sync status ({ status, text, label }), or hide the indicator for null
+ */
+function showSyncStatus(view) {
+    const indicator = elements.syncStatus;
+    indicator.classList.toggle('hidden', !view);
+    if (!view) return;
+
+    indicator.dataset.status = view.status;
+    indicator.title = view.text;
+    indicator.setAttribute('aria-label', view.text);
+    elements.syncStatusText.textContent = view.label;
+}
+
+// ==================== Tab Sync ====================
+
+// Channel to the other open tabs, null where tabs cannot coordinate (each then runs on its own)
+const tabChannel = window.BroadcastChannel && navigator.locks ? new BroadcastChannel(TAB_CHANNEL_NAME) : null;
+// Only the leading tab plays schedule sounds, shows notifications, sends webhooks,
+// completes focus timers and talks to the focus endpoints
+let isLeaderTab = !tabChannel;
+// Setting keys saved since the last message to the other tabs
+const changedSettingKeys = new Set();
+
+/**
+ * Follow the other open tabs, and lead once no other tab does
+ */
+function startTabSync() {
+    if (!tabChannel) return;
+
+    tabChannel.addEventListener('message', (e) => handleTabMessage(e.data));
+
+    // The lock is held until the tab closes, then goes to the next tab waiting for it
+    navigator.locks.request(LEADER_LOCK_NAME, () => {
+        becomeLeader();
+        return new Promise(() => {});
+    });
+
+    // The leader answers with what is not saved (a break after focus, the endpoint status)
+    postTabMessage({ type: 'hello' });
+}
+
+/**
+ * Take over from the tab that led before (or start leading as the first tab)
+ */
+function becomeLeader() {
+    isLeaderTab = true;
+    // Calls the previous leader could not deliver
+    loadOutbox();
+    connectEndpoints();
+    // Completes a focus timer that ran out while no tab led
+    updateClock();
+    shareFocusState();
+}
+
+/**
+ * Send a message to the other open tabs
+ */
+function postTabMessage(message) {
+    if (tabChannel) {
+        tabChannel.postMessage(message);
+    }
+}
+
+/**
+ * Handle a message from another tab
+ */
+function handleTabMessage(message) {
+    switch (message.type) {
+        case 'hello':
+            if (isLeaderTab) {
+                shareFocusState();
+                updateSyncStatus();
+            }
+            break;
+        case 'settings':
+            reloadSettings(message.keys);
+            // The leader passes changes made in other tabs on to the endpoints
+            if (isLeaderTab && message.keys.includes(SETTINGS_SYNC_STORAGE_KEY)) {
+                syncAllSettings();
+            } else if (isLeaderTab && message.keys.some(key => SYNCED_SETTINGS_KEYS.includes(key))) {
+                markSettingsChanged();
+            }
+            break;
+        case 'focus':
+            applyTabFocusState(message);
+            break;
+        case 'vault':
+            applyTabVaultKey(message.key);
+            break;
+        case 'syncStatus':
+            if (!isLeaderTab) showSyncStatus(message.view);
+            break;
+        case 'checkIn':
+            hideCheckIn();
+            if (!elements.historyPanel.classList.contains('hidden')) {
+                renderHistory();
+            }
+            break;
+        case 'reload':
+            location.reload();
+            break;
+    }
+}
+
+/**
+ * Wrap a schedule event handler so it only runs in the leading tab
+ */
+function leaderOnly(handler) {
+    return (type, detail) => {
+        if (isLeaderTab) handler(type, detail);
+    };
+}
+
+/**
+ * Save a setting (null removes it) and tell the other tabs
+ * Saves made together go out as one message
+ */
+function storeSetting(key, value) {
+    if (value === null) {
+        localStorage.removeItem(key);
+    } else {
+        localStorage.setItem(key, value);
+    }
+
+    if (!changedSettingKeys.size) {
+        queueMicrotask(shareSettingChanges);
+    }
+    changedSettingKeys.add(key);
+}
+
+/**
+ * Tell the other tabs which settings were saved, and the endpoints if they sync settings
+ */
+function shareSettingChanges() {
+    const keys = [...changedSettingKeys];
+    changedSettingKeys.clear();
+    postTabMessage({ type: 'settings', keys });
+
+    if (isLeaderTab && keys.some(key => SYNCED_SETTINGS_KEYS.includes(key))) {
+        markSettingsChanged();
+    }
+}
+
+/**
+ * Pick up settings saved by another tab or pulled from an endpoint
+ */
+async function reloadSettings(keys) {
+    const profile = JSON.stringify(state.profile);
+    const tokensChanged = [ENDPOINTS_STORAGE_KEY, WEBHOOKS_STORAGE_KEY, VAULT_STORAGE_KEY].some(key => keys.includes(key));
+
+    // Endpoints and webhooks loaded anew have their tokens read again
+    if (tokensChanged) {
+        secrets.clear();
+    }
+    loadSettings(keys);
+    if (keys.includes(TASKS_STORAGE_KEY)) {
+        loadTasks();
+    }
+    if (keys.includes(TEAM_STORAGE_KEY)) {
+        loadTeam();
+    }
+    if (tokensChanged && vaultKey) {
+        await decryptTokens();
+        renderEndpointList();
+    }
+
+    if (JSON.stringify(state.profile) !== profile) {
+        // Segment counts may have changed - rebuild rings and reset transition tracking
+        initializeRings();
+        state.lastTick = null;
+    }
+    calculateMilestones();
+    updateScheduleDisplay();
+    renderTaskList();
+    if (!elements.teamPanel.classList.contains('hidden')) {
+        renderTeam();
+    }
+    updateClock();
+
+    if (isLeaderTab && (keys.includes(ENDPOINTS_STORAGE_KEY) || keys.includes(VAULT_STORAGE_KEY))) {
+        followEndpointChanges();
+    }
+}
+
+/**
+ * Connect to endpoints enabled in another tab and drop the ones disabled or removed there
+ */
+function followEndpointChanges() {
+    const active = getActiveEndpoints();
+    const isActive = id => active.some(endpoint => endpoint.id === id);
+
+    [...endpointConnections.keys()].filter(id => !isActive(id)).forEach(disconnectEndpoint);
+    state.endpointOutbox = state.endpointOutbox.filter(item => isActive(item.endpointId));
+    saveOutbox();
+
+    active.filter(endpoint => !endpointConnections.has(endpoint.id)).forEach(joinEndpoint);
+    updateSyncStatus();
+}
+
+/**
+ * Tell the other tabs about the running focus session and break
+ */
+function shareFocusState() {
+    postTabMessage({ type: 'focus', session: state.focusSession, focusBreak: state.focusBreak });
+}
+
+/**
+ * Follow focus started or stopped in another tab
+ * That tab recorded the session, the leader passes the change on to the endpoints
+ */
+function applyTabFocusState({ session, focusBreak }) {
+    const local = state.focusSession;
+
+    if (local && (!session || session.sessionId !== local.sessionId)) {
+        state.focusSession = null;
+        hideStopPrompt();
+        queueEndpointCall('stop', local);
+    }
+
+    if (session && !state.focusSession) {
+        state.focusSession = session;
+        queueEndpointCall('start', session);
+    }
+
+    state.isFocusing = Boolean(state.focusSession);
+    state.focusTask = state.focusSession ? state.focusSession.task : '';
+    state.focusBreak = focusBreak;
+    updateFocusUI();
+    updateFocusArc(getNow());
+    updateHeartbeat();
+}
+
+/**
+ * Unlock or lock the tokens along with another tab
+ */
+async function applyTabVaultKey(key) {
+    if (key) {
+        vaultKey = key;
+        await unlockTokens();
+    } else if (vaultKey) {
+        lockVault();
+    }
+}
+
+// ==================== Settings Sync ====================
+
+/**
+ * Turn syncing settings through the focus endpoints on or off
+ * Turning it on takes the settings an endpoint already has, or gives it these
+ */
+function setSettingsSync(enabled) {
+    state.settingsSync = { ...DEFAULT_SETTINGS_SYNC, revisions: {}, pending: [], enabled };
+    saveSettingsSync();
+    if (isLeaderTab) {
+        syncAllSettings();
+    }
+}
+
+/**
+ * Persist the settings sync state
+ */
+function saveSettingsSync() {
+    storeSetting(SETTINGS_SYNC_STORAGE_KEY, JSON.stringify(state.settingsSync));
+}
+
+/**
+ * Note that synced settings changed here, and send them to the endpoints
+ */
+function markSettingsChanged() {
+    if (!state.settingsSync.enabled) return;
+
+    state.settingsSync.pending = getActiveEndpoints().map(endpoint => endpoint.id);
+    state.settingsSync.changedAt = Date.now();
+    saveSettingsSync();
+    syncAllSettings();
+}
+
+/**
+ * Sync settings with every enabled endpoint
+ */
+function syncAllSettings() {
+    if (!state.settingsSync.enabled) return Promise.resolve();
+    return Promise.all(getActiveEndpoints().map(endpoint => syncSettings(endpoint)));
+}
+
+/**
+ * The synced settings as saved here, by storage key
+ */
+function collectSyncedSettings() {
+    const settings = {};
+    SYNCED_SETTINGS_KEYS.forEach(key => {
+        const value = localStorage.getItem(key);
+        if (value !== null) {
+            settings[key] = value;
+        }
+    });
+    return settings;
+}
+
+/**
+ * Fetch an endpoint's settings and bring them in line with these (v2 endpoints only)
+ */
+async function syncSettings(endpoint) {
+    const connection = endpointConnections.get(endpoint.id);
+    if (!state.settingsSync.enabled || !connection || connection.version !== 2 || isTokenLocked(endpoint)) {
+        return;
+    }
+
+    try {
+        const response = await endpointRequest(endpoint, 'GET', '/settings');
+        // Endpoints without settings sync
+        if (response.status === 404) return;
+        if (!response.ok) {
+            throw new Error(`${response.status} ${response.statusText}`);
+        }
+        await reconcileSettings(endpoint, await response.json());
+    } catch (error) {
+        console.error(`Failed to sync settings with ${endpoint.name}:`, error);
+    }
+}
+
+/**
+ * Send these settings to an endpoint, or take its settings - whichever changed last
+ * (endpoints without settings yet get these)
+ */
+async function reconcileSettings(endpoint, remote, retry = true) {
+    const sync = state.settingsSync;
+    const known = sync.revisions[endpoint.id] || 0;
+    const pending = sync.pending.includes(endpoint.id);
+    const remoteChangedAt = Date.parse(remote.updatedAt) || 0;
+
+    if (!remote.settings || (pending && (remote.revision === known || sync.changedAt >= remoteChangedAt))) {
+        const response = await endpointRequest(endpoint, 'PUT', '/settings', {
+            settings: collectSyncedSettings(),
+            baseRevision: remote.revision,
+            updatedAt: new Date(sync.changedAt || Date.now()).toISOString()
+        });
+
+        // Changed elsewhere since it was fetched - decide again with the newer settings
+        if (response.status === 409 && retry) {
+            await reconcileSettings(endpoint, await response.json(), false);
+            return;
+        }
+        if (!response.ok) {
+            throw new Error(`${response.status} ${response.statusText}`);
+        }
+        setSettingsRevision(endpoint, (await response.json()).revision);
+        return;
+    }
+
+    if (remote.revision === known) return;
+
+    if (JSON.stringify(remote.settings) !== JSON.stringify(collectSyncedSettings())) {
+        applySyncedSettings(remote.settings);
+
+        // Other endpoints get the settings too
+        sync.pending = getActiveEndpoints().map(other => other.id).filter(id => id !== endpoint.id);
+        sync.changedAt = remoteChangedAt;
+    }
+    setSettingsRevision(endpoint, remote.revision);
+    getActiveEndpoints().filter(other => sync.pending.includes(other.id)).forEach(syncSettings);
+}
+
+/**
+ * Remember the settings revision an endpoint and this device agree on
+ */
+function setSettingsRevision(endpoint, revision) {
+    const sync = state.settingsSync;
+    sync.revisions[endpoint.id] = revision;
+    sync.pending = sync.pending.filter(id => id !== endpoint.id);
+    saveSettingsSync();
+}
+
+/**
+ * Use settings pulled from an endpoint, here and in the other tabs
+ */
+function applySyncedSettings(settings) {
+    const keys = SYNCED_SETTINGS_KEYS.filter(key => typeof settings[key] === 'string');
+    // Saved directly, so they are not taken for local changes and sent back
+    keys.forEach(key => localStorage.setItem(key, settings[key]));
+    postTabMessage({ type: 'settings', keys });
+    reloadSettings(keys);
+}
+
+// ==================== Focus History ====================
+
+let dbPromise = null;
+
+/**
+ * Open (and create or upgrade) the IndexedDB database
+ */
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(SESSION_STORE)) {
+                    const store = db.createObjectStore(SESSION_STORE, { keyPath: 'id', autoIncrement: true });
+                    store.createIndex('start', 'start');
+                }
+                if (!db.objectStoreNames.contains(CHECK_IN_STORE)) {
+                    const store = db.createObjectStore(CHECK_IN_STORE, { keyPath: 'id', autoIncrement: true });
+                    store.createIndex('time', 'time');
+                }
+            };
+            request.onsuccess = () => {
+                // Let a newer version of the page (in another tab) upgrade the database
+                request.result.onversionchange = () => {
+                    request.result.close();
+                    dbPromise = null;
+                };
+                resolve(request.result);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return dbPromise;
+}
+
+/**
+ * Run a single request against an object store and resolve with its result
+ */
+async function runStoreRequest(storeName, mode, makeRequest) {
+    const db = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = makeRequest(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Get the B-H-P label for a time, or null outside work blocks
+ */
+function getBHPLabel(now) {
+    const phase = getCurrentPhase(now);
+    if (!isBlockPhase(phase)) return null;
+
+    const block = state.milestones.blocks.find(b => blockPhase(b.number) === phase);
+    const bhp = calculateBHP(now, block);
+    return `${bhp.block}-${bhp.hour}-${bhp.part}`;
+}
+
+/**
+ * Human readable name for a phase identifier
+ */
+function getPhaseLabel(phase) {
+    const range = state.milestones.blocks && getPhaseRange(phase);
+    if (range) return range.label;
+
+    if (isBlockPhase(phase)) return `Block ${phase.slice(BLOCK_PHASE_PREFIX.length)}`;
+
+    const custom = state.customPhases.find(def => `${CUSTOM_PHASE_PREFIX}${def.id}` === phase);
+    if (custom) return custom.name;
+
+    return {
+        [PHASES.SLEEP]: 'Sleep',
+        [PHASES.SET_UP]: 'Set Up',
+        [PHASES.FREE]: 'Free Time',
+        [PHASES.WIND_DOWN]: 'Wind Down'
+    }[phase] || phase;
+}
+
+/**
+ * Create a unique ID for a focus session
+ */
+function createSessionId() {
+    if (window.crypto && crypto.randomUUID) {
+        return crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
+/**
+ * Remember the start of a focus session until it is stopped
+ * Kept in localStorage so a reload does not lose the session
+ */
+function beginFocusSession(task, remote = {}, timer = DEFAULT_FOCUS_TIMER) {
+    const now = remote.startedAt ? new Date(remote.startedAt) : getNow();
+    state.focusSession = {
+        // Shared with the endpoint (v2), so both sides talk about the same session
+        sessionId: remote.id || createSessionId(),
+        task,
+        taskId: (getTaskForFocus(task) || {}).id || null,
+        start: now.getTime(),
+        bhpStart: getBHPLabel(now),
+        phase: getCurrentPhase(now)
+    };
+    if (timer.parts) {
+        state.focusSession.targetParts = timer.parts;
+        state.focusSession.targetEnd = now.getTime() + timer.parts * state.profile.partMinutes * MINUTE;
+        state.focusSession.breakParts = timer.breakPart ? 1 : 0;
+    }
+    localStorage.setItem(ACTIVE_SESSION_STORAGE_KEY, JSON.stringify(state.focusSession));
+}
+
+/**
+ * Record the running focus session in the history log
+ * Timed sessions are recorded as completed when they reached their target, abandoned otherwise
+ */
+async function finishFocusSession(end = getNow()) {
+    const session = state.focusSession;
+    if (!session) return;
+
+    state.focusSession = null;
+    localStorage.removeItem(ACTIVE_SESSION_STORAGE_KEY);
+
+    const record = {
+        ...session,
+        end: end.getTime(),
+        bhpEnd: getBHPLabel(end)
+    };
+    if (session.targetEnd) {
+        record.outcome = end.getTime() >= session.targetEnd ? 'completed' : 'abandoned';
+    }
+
+    try {
+        await runStoreRequest(SESSION_STORE, 'readwrite', store => store.add(record));
+    } catch (error) {
+        console.error('Failed to record focus session:', error);
+    }
+
+    if (!elements.historyPanel.classList.contains('hidden')) {
+        renderHistory();
+    }
+    renderTimelineSessions();
+}
+
+/**
+ * Restore a focus session that was running when the page was closed
+ */
+function restoreFocusSession() {
+    const saved = localStorage.getItem(ACTIVE_SESSION_STORAGE_KEY);
+    if (!saved) return;
+
+    try {
+        state.focusSession = JSON.parse(saved);
+        // Sessions saved before session IDs existed
+        if (!state.focusSession.sessionId) {
+            state.focusSession.sessionId = createSessionId();
+        }
+        state.isFocusing = true;
+        state.focusTask = state.focusSession.task;
+        updateFocusUI();
+        // The target may have passed while the page was closed
+        checkFocusTimer(getNow());
+    } catch (error) {
+        console.error('Failed to restore focus session:', error);
+        localStorage.removeItem(ACTIVE_SESSION_STORAGE_KEY);
+    }
+}
+
+/**
+ * Load all recorded focus sessions, oldest first
+ */
+function getFocusSessions() {
+    return runStoreRequest(SESSION_STORE, 'readonly', store => store.index('start').getAll());
+}
+
+/**
+ * Toggle history panel visibility
+ */
+function toggleHistory() {
+    const opening = elements.historyPanel.classList.contains('hidden');
+    elements.historyPanel.classList.toggle('hidden');
+
+    if (opening) {
+        elements.settingsPanel.classList.add('hidden');
+        elements.tasksPanel.classList.add('hidden');
+        hideTeam();
+        renderHistory();
+    }
+}
+
+/**
+ * Sum focus minutes per calendar day (by session start)
+ */
+function getDailyTotals(sessions) {
+    const totals = {};
+    sessions.forEach(session => {
+        const key = toDateKey(new Date(session.start), state.timeZone);
+        totals[key] = (totals[key] || 0) + (session.end - session.start);
+    });
+    return totals;
+}
+
+/**
+ * Longest and current run of consecutive days with at least one session
+ */
+function getStreaks(dailyTotals) {
+    const days = Object.keys(dailyTotals).sort();
+    let longest = 0;
+    let run = 0;
+    let previous = null;
+
+    days.forEach(day => {
+        run = previous && addDays(previous, 1) === day ? run + 1 : 1;
+        longest = Math.max(longest, run);
+        previous = day;
+    });
+
+    // The current streak survives until today has passed without a session
+    const today = toDateKey(getNow(), state.timeZone);
+    const current = previous === today || previous === addDays(today, -1) ? run : 0;
+
+    return { longest, current };
+}
+
+/**
+ * Render today's totals, sessions per block, streaks and the week chart
+ */
+async function renderHistory() {
+    let sessions;
+    try {
+        sessions = await getFocusSessions();
+    } catch (error) {
+        console.error('Failed to load focus history:', error);
+        elements.historySummary.textContent = 'Focus history is unavailable in this browser';
+        return;
+    }
+
+    const today = toDateKey(getNow(), state.timeZone);
+    const dailyTotals = getDailyTotals(sessions);
+    const todaySessions = sessions.filter(s => toDateKey(new Date(s.start), state.timeZone) === today);
+    const streaks = getStreaks(dailyTotals);
+    const timedSessions = todaySessions.filter(s => s.outcome);
+    const completed = timedSessions.filter(s => s.outcome === 'completed').length;
+
+    elements.historySummary.textContent =
+        `Today ${formatMinutes(Math.round((dailyTotals[today] || 0) / MINUTE))} in ${todaySessions.length} ` +
+        `session${todaySessions.length === 1 ? '' : 's'} · streak ${streaks.current} ` +
+        `day${streaks.current === 1 ? '' : 's'} (longest ${streaks.longest})` +
+        (timedSessions.length ? ` · ${completed} of ${timedSessions.length} timed completed` : '');
+
+    // Sessions per block today, non-block phases grouped by their name
+    const perBlock = {};
+    todaySessions.forEach(session => {
+        const label = session.bhpStart ? `Block ${session.bhpStart.split('-')[0]}` : getPhaseLabel(session.phase);
+        perBlock[label] = (perBlock[label] || 0) + 1;
+    });
+    elements.historyBlocks.innerHTML = '';
+    Object.entries(perBlock).sort().forEach(([label, count]) => {
+        const item = document.createElement('li');
+        item.textContent = `${label}: ${count}`;
+        elements.historyBlocks.appendChild(item);
+    });
+
+    // Week chart - last 7 days, today on the right
+    const week = [];
+    for (let i = 6; i >= 0; i--) {
+        const key = addDays(today, -i);
+        week.push({ key, minutes: Math.round((dailyTotals[key] || 0) / MINUTE) });
+    }
+    const maxMinutes = Math.max(...week.map(day => day.minutes), 1);
+
+    elements.historyChart.innerHTML = '';
+    week.forEach(day => {
+        const column = document.createElement('div');
+        column.className = 'history-day';
+        column.classList.toggle('today', day.key === today);
+        column.title = `${day.key}: ${formatMinutes(day.minutes)}`;
+
+        const value = document.createElement('span');
+        value.className = 'history-value';
+        value.textContent = day.minutes ? formatMinutes(day.minutes) : '';
+
+        const bar = document.createElement('div');
+        bar.className = 'history-bar';
+        bar.style.height = `${(day.minutes / maxMinutes) * 100}%`;
+
+        const label = document.createElement('span');
+        label.className = 'history-label';
+        label.textContent = WEEKDAY_NAMES[getWeekday(day.key)].slice(0, 2);
+
+        column.append(value, bar, label);
+        elements.historyChart.appendChild(column);
+    });
+
+    // Today's sessions, most recent first
+    elements.historySessions.innerHTML = '';
+    todaySessions.slice().reverse().forEach(session => {
+        const item = document.createElement('li');
+        const range = `${formatTime(new Date(session.start))}-${formatTime(new Date(session.end))}`;
+        const bhp = session.bhpStart ? ` · ${session.bhpStart}→${session.bhpEnd || '-'}` : '';
+        const outcome = session.outcome ? ` (${session.outcome})` : '';
+        item.textContent = `${range}${bhp} · ${session.task}${outcome}`;
+        item.classList.toggle('abandoned', session.outcome === 'abandoned');
+        elements.historySessions.appendChild(item);
+    });
+
+    renderCheckInChart();
+}
+
+// ==================== Check-ins ====================
+
+// Hour or block being asked about while the check-in prompt is open
+// ({ scope, date, block, hour, bhp }), null otherwise
+let pendingCheckIn = null;
+
+/**
+ * Build the 1-CHECK_IN_SCALE choices for each check-in question
+ */
+function renderCheckInQuestions() {
+    Object.entries(CHECK_IN_QUESTIONS).forEach(([field, label]) => {
+        const fieldset = document.createElement('fieldset');
+        fieldset.className = 'check-in-question';
+
+        const legend = document.createElement('legend');
+        legend.textContent = label;
+        fieldset.appendChild(legend);
+
+        for (let value = 1; value <= CHECK_IN_SCALE; value++) {
+            const choice = document.createElement('label');
+            const input = document.createElement('input');
+            input.type = 'radio';
+            input.name = `check-in-${field}`;
+            input.value = value;
+            input.dataset.checkInField = field;
+
+            const text = document.createElement('span');
+            text.textContent = value;
+            choice.append(input, text);
+            fieldset.appendChild(choice);
+        }
+        elements.checkInQuestions.appendChild(fieldset);
+    });
+}
+
+/**
+ * Ask for a check-in at the end of each work hour or block, as set up
+ */
+function handleCheckInEvent(type, detail) {
+    if (!state.checkIns.enabled) return;
+
+    const endsHour = type === SCHEDULE_EVENTS.HOUR_CHANGE && state.checkIns.scope === CHECK_IN_SCOPES.HOUR;
+    if (!endsHour && type !== SCHEDULE_EVENTS.BLOCK_END) return;
+
+    // B-H-P of the last part before the boundary
+    const bhp = detail.from.bhp;
+    if (!bhp) return;
+
+    showCheckIn({
+        scope: state.checkIns.scope,
+        date: detail.from.milestones.date,
+        block: bhp.block,
+        hour: bhp.hour,
+        bhp: `${bhp.block}-${bhp.hour}-${bhp.part}`
+    });
+}
+
+/**
+ * Open the check-in prompt, with no answers picked
+ * Keyboard focus moves to it unless something is being typed
+ */
+function showCheckIn(checkIn) {
+    pendingCheckIn = checkIn;
+    elements.checkInTitle.textContent = checkIn.scope === CHECK_IN_SCOPES.BLOCK
+        ? `How was block ${checkIn.block}?`
+        : `How was hour ${checkIn.block}-${checkIn.hour}?`;
+    elements.checkInQuestions.querySelectorAll('input').forEach(input => {
+        input.checked = false;
+    });
+    elements.checkInOverlay.classList.remove('hidden');
+
+    if (!isTypingTarget(document.activeElement)) {
+        elements.checkInQuestions.querySelector('input').focus();
+    }
+}
+
+/**
+ * Close the check-in prompt
+ */
+function hideCheckIn() {
+    pendingCheckIn = null;
+    elements.checkInOverlay.classList.add('hidden');
+    restoreFocusFrom(elements.checkInOverlay);
+}
+
+/**
+ * Record the answers of the open check-in (questions left unanswered are stored as null)
+ */
+async function saveCheckIn() {
+    const checkIn = pendingCheckIn;
+    if (!checkIn) return;
+
+    const answers = {};
+    Object.keys(CHECK_IN_QUESTIONS).forEach(field => {
+        const picked = elements.checkInQuestions.querySelector(`[data-check-in-field="${field}"]:checked`);
+        answers[field] = picked ? Number(picked.value) : null;
+    });
+    hideCheckIn();
+
+    // Nothing picked counts as skipped
+    if (Object.values(answers).every(value => value === null)) {
+        postTabMessage({ type: 'checkIn' });
+        return;
+    }
+
+    try {
+        await runStoreRequest(CHECK_IN_STORE, 'readwrite', store => store.add({
+            ...checkIn,
+            ...answers,
+            time: getNow().getTime()
+        }));
+    } catch (error) {
+        console.error('Failed to record check-in:', error);
+    }
+
+    postTabMessage({ type: 'checkIn' });
+    if (!elements.historyPanel.classList.contains('hidden')) {
+        renderHistory();
+    }
+}
+
+/**
+ * Close the check-in prompt without recording anything
+ */
+function skipCheckIn() {
+    hideCheckIn();
+    postTabMessage({ type: 'checkIn' });
+}
+
+/**
+ * Load all recorded check-ins, oldest first
+ */
+function getCheckIns() {
+    return runStoreRequest(CHECK_IN_STORE, 'readonly', store => store.index('time').getAll());
+}
+
+/**
+ * Average answer to each question over some check-ins (null for questions never answered)
+ */
+function getCheckInAverages(checkIns) {
+    const averages = {};
+    Object.keys(CHECK_IN_QUESTIONS).forEach(field => {
+        const values = checkIns.map(checkIn => checkIn[field]).filter(value => value !== null);
+        averages[field] = values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+    });
+    return averages;
+}
+
+/**
+ * Chart the average answers per hour of block across all days, and list them per block
+ */
+async function renderCheckInChart() {
+    let checkIns;
+    try {
+        checkIns = await getCheckIns();
+    } catch (error) {
+        console.error('Failed to load check-ins:', error);
+        return;
+    }
+
+    elements.checkInChart.innerHTML = '';
+    elements.checkInBlocks.innerHTML = '';
+
+    if (!checkIns.length) {
+        const empty = document.createElement('li');
+        empty.textContent = state.checkIns.enabled
+            ? 'No check-ins yet'
+            : 'Turn on check-ins in the settings to see which hours work best';
+        elements.checkInBlocks.appendChild(empty);
+        return;
+    }
+
+    // Block check-ins rate a whole block, so only hour check-ins go into the hour chart
+    const hourCheckIns = checkIns.filter(checkIn => checkIn.scope === CHECK_IN_SCOPES.HOUR);
+    for (let hour = 1; hour <= state.profile.hoursPerBlock; hour++) {
+        const inHour = hourCheckIns.filter(checkIn => checkIn.hour === hour);
+        const averages = getCheckInAverages(inHour);
+
+        const column = document.createElement('div');
+        column.className = 'check-in-hour';
+        column.title = `Hour ${hour} of the block: ` + Object.entries(CHECK_IN_QUESTIONS)
+            .map(([field, label]) => `${label.toLowerCase()} ${averages[field] === null ? '-' : averages[field].toFixed(1)}`)
+            .join(', ') + ` (${inHour.length} check-in${inHour.length === 1 ? '' : 's'})`;
+
+        const bars = document.createElement('div');
+        bars.className = 'check-in-bars';
+        Object.keys(CHECK_IN_QUESTIONS).forEach(field => {
+            const bar = document.createElement('div');
+            bar.className = 'check-in-bar';
+            bar.dataset.checkInField = field;
+            bar.style.height = `${((averages[field] || 0) / CHECK_IN_SCALE) * 100}%`;
+            bars.appendChild(bar);
+        });
+
+        const label = document.createElement('span');
+        label.className = 'history-label';
+        label.textContent = `H${hour}`;
+
+        column.append(bars, label);
+        elements.checkInChart.appendChild(column);
+    }
+
+    const blocks = [...new Set(checkIns.map(checkIn => checkIn.block))].sort((a, b) => a - b);
+    blocks.forEach(block => {
+        const inBlock = checkIns.filter(checkIn => checkIn.block === block);
+        const averages = getCheckInAverages(inBlock);
+        const item = document.createElement('li');
+        item.textContent = `Block ${block}: ` + Object.entries(CHECK_IN_QUESTIONS)
+            .map(([field, label]) => `${label.toLowerCase()} ${averages[field] === null ? '-' : averages[field].toFixed(1)}`)
+            .join(' · ') + ` (${inBlock.length})`;
+        elements.checkInBlocks.appendChild(item);
+    });
+}
+
+// ==================== Export / Import ====================
+
+/**
+ * Offer a generated file as a download
+ */
+function downloadFile(filename, content, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Show a short status message under the backup buttons
+ */
+function showBackupResult(message, isError = false) {
+    elements.backupResult.textContent = message;
+    elements.backupResult.className = `test-result ${isError ? 'error' : 'success'}`;
+}
+
+/**
+ * Read every record from every object store
+ */
+async function dumpDatabase() {
+    const db = await openDatabase();
+    const data = {};
+    for (const storeName of Array.from(db.objectStoreNames)) {
+        data[storeName] = await runStoreRequest(storeName, 'readonly', store => store.getAll());
+    }
+    return data;
+}
+
+/**
+ * Replace every record of an object store in one transaction, so a failed write leaves the store as it was
+ */
+async function replaceStoreRecords(storeName, records) {
+    const db = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, 'readwrite');
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+
+        try {
+            const store = transaction.objectStore(storeName);
+            store.clear();
+            records.forEach(record => store.put(record));
+        } catch (error) {
+            // A record the store refuses outright (e.g. an invalid key) must not leave the store cleared
+            transaction.abort();
+            reject(error);
+        }
+    });
+}
+
+/**
+ * Check the contents of a backup bundle: settings are stored strings, data holds record lists per store
+ */
+function isValidBackupContents(backup) {
+    const { settings, data = {} } = backup;
+    if (!settings || typeof settings !== 'object' || !data || typeof data !== 'object') return false;
+
+    return Object.values(settings).every(value => typeof value === 'string') &&
+        Object.values(data).every(records =>
+            Array.isArray(records) && records.every(record => record && typeof record === 'object')
+        );
+}
+
+/**
+ * Build the versioned backup bundle: every adhd_* setting plus all recorded data
+ */
+async function buildBackup() {
+    const settings = {};
+    for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (key.startsWith(SETTINGS_KEY_PREFIX)) {
+            settings[key] = localStorage.getItem(key);
+        }
+    }
+
+    return {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        exportedAt: new Date().toISOString(),
+        settings,
+        data: await dumpDatabase()
+    };
+}
+
+/**
+ * Download settings and recorded data as a JSON bundle
+ */
+async function exportBackup() {
+    try {
+        const backup = await buildBackup();
+        downloadFile(`adhdclock-backup-${toDateKey(new Date())}.json`, JSON.stringify(backup, null, 2), 'application/json');
+        showBackupResult('Backup exported');
+    } catch (error) {
+        showBackupResult(`Export failed: ${error.message}`, true);
+    }
+}
+
+/**
+ * Restore a JSON bundle, replacing current settings and recorded data
+ */
+async function importBackup(file) {
+    let backup;
+    try {
+        backup = JSON.parse(await file.text());
+    } catch (error) {
+        showBackupResult('Import failed: not a JSON file', true);
+        return;
+    }
+
+    if (!backup || backup.format !== BACKUP_FORMAT) {
+        showBackupResult('Import failed: not an ADHD Clock backup', true);
+        return;
+    }
+    if (backup.version > BACKUP_VERSION) {
+        showBackupResult('Import failed: backup is from a newer version', true);
+        return;
+    }
+    if (!isValidBackupContents(backup)) {
+        showBackupResult('Import failed: backup is damaged', true);
+        return;
+    }
+    if (!confirm('Replace your current settings and focus history with this backup?')) {
+        return;
+    }
+
+    try {
+        // Recorded data first: the settings are only replaced once it is all in
+        const db = await openDatabase();
+        for (const [storeName, records] of Object.entries(backup.data || {})) {
+            if (db.objectStoreNames.contains(storeName)) {
+                await replaceStoreRecords(storeName, records);
+            }
+        }
+
+        Object.keys(localStorage)
+            .filter(key => key.startsWith(SETTINGS_KEY_PREFIX))
+            .forEach(key => localStorage.removeItem(key));
+        Object.entries(backup.settings).forEach(([key, value]) => {
+            if (key.startsWith(SETTINGS_KEY_PREFIX)) {
+                localStorage.setItem(key, value);
+            }
+        });
+    } catch (error) {
+        showBackupResult(`Import failed: ${error.message}`, true);
+        return;
+    }
+
+    // Settings are read once at startup, so start over with the restored ones (in every tab)
+    postTabMessage({ type: 'reload' });
+    location.reload();
+}
+
+/**
+ * Quote a value for CSV if needed
+ */
+function toCsvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format a timestamp as local "YYYY-MM-DD HH:MM"
+ */
+function formatDateTime(timestamp) {
+    const date = new Date(timestamp);
+    return `${toDateKey(date, state.timeZone)} ${formatTime(date)}`;
+}
+
+/**
+ * Download all focus sessions as CSV
+ */
+async function exportSessionsCsv() {
+    let sessions;
+    try {
+        sessions = await getFocusSessions();
+    } catch (error) {
+        showBackupResult(`Export failed: ${error.message}`, true);
+        return;
+    }
+
+    const header = ['task', 'start', 'end', 'minutes', 'bhp_start', 'bhp_end', 'phase', 'target_parts', 'outcome'];
+    const rows = sessions.map(session => [
+        session.task,
+        formatDateTime(session.start),
+        formatDateTime(session.end),
+        Math.round((session.end - session.start) / MINUTE),
+        session.bhpStart,
+        session.bhpEnd,
+        getPhaseLabel(session.phase),
+        session.targetParts,
+        session.outcome
+    ]);
+
+    const csv = [header, ...rows].map(row => row.map(toCsvField).join(',')).join('\r\n');
+    downloadFile(`adhdclock-sessions-${toDateKey(new Date())}.csv`, csv, 'text/csv');
+    showBackupResult(`Exported ${sessions.length} session${sessions.length === 1 ? '' : 's'}`);
+}
+
+/**
+ * Download all check-ins as CSV, to share how the hours of the day go
+ */
+async function exportCheckInsCsv() {
+    let checkIns;
+    try {
+        checkIns = await getCheckIns();
+    } catch (error) {
+        showBackupResult(`Export failed: ${error.message}`, true);
+        return;
+    }
+
+    const header = ['time', 'date', 'scope', 'bhp', 'block', 'hour', 'energy', 'mood', 'on_task'];
+    const rows = checkIns.map(checkIn => [
+        formatDateTime(checkIn.time),
+        checkIn.date,
+        checkIn.scope,
+        checkIn.bhp,
+        checkIn.block,
+        checkIn.hour,
+        checkIn.energy,
+        checkIn.mood,
+        checkIn.onTask
+    ]);
+
+    const csv = [header, ...rows].map(row => row.map(toCsvField).join(',')).join('\r\n');
+    downloadFile(`adhdclock-check-ins-${toDateKey(new Date())}.csv`, csv, 'text/csv');
+    showBackupResult(`Exported ${checkIns.length} check-in${checkIns.length === 1 ? '' : 's'}`);
+}
+
+/**
+ * Format a date as an iCalendar UTC timestamp (YYYYMMDDTHHMMSSZ)
+ */
+function toIcsTime(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Escape text for an iCalendar property value
+ */
+function toIcsText(text) {
+    return text.replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\n/g, '\\n');
+}
+
+/**
+ * Download today's milestones as an iCalendar file
+ */
+function exportScheduleIcs() {
+    const m = state.milestones;
+    const stamp = toIcsTime(new Date());
+
+    // Today's plan ends with the night after wind down
+    const ranges = getPhaseRanges(m).filter(range => range.phase !== PHASES.SLEEP && range.phase !== PHASES.FREE);
+    const nextSleepEnd = ClockCore.addWallTime(m.windDownEnd, getDurations(state.profile).sleep, state.timeZone);
+    ranges.push({ phase: PHASES.SLEEP, label: 'Sleep', start: m.windDownEnd, end: nextSleepEnd });
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//ADHD Clock//Day Plan//EN',
+        'CALSCALE:GREGORIAN'
+    ];
+    ranges.forEach(range => {
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${m.date}-${range.phase}@adhdclock`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART:${toIcsTime(range.start)}`,
+            `DTEND:${toIcsTime(range.end)}`,
+            `SUMMARY:${toIcsText(range.label)}`,
+            'TRANSP:TRANSPARENT',
+            'END:VEVENT'
+        );
+    });
+    lines.push('END:VCALENDAR');
+
+    downloadFile(`adhdclock-${m.date}.ics`, lines.join('\r\n') + '\r\n', 'text/calendar');
+    showBackupResult(`Exported ${ranges.length} events for ${m.date}`);
+}
+
+// ==================== Sound Settings ====================
+
+/**
+ * Build the per-cue rows (enable, pattern, preview) and fill the sound inputs
+ */
+function renderSoundInputs() {
+    elements.volumeInput.value = state.sound.volume;
+    elements.soundMutedInput.checked = state.sound.muted;
+    elements.quietEnabledInput.checked = state.sound.quietHours.enabled;
+    elements.quietStartInput.value = state.sound.quietHours.start;
+    elements.quietEndInput.value = state.sound.quietHours.end;
+
+    elements.soundCueList.innerHTML = '';
+    Object.entries(SOUND_CUES).forEach(([cue, label]) => {
+        const settings = state.sound.cues[cue];
+        const row = document.createElement('div');
+        row.className = 'sound-cue';
+        row.dataset.cue = cue;
+
+        const toggle = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = settings.enabled;
+        toggle.append(checkbox, ` ${label}`);
+
+        const select = document.createElement('select');
+        select.setAttribute('aria-label', `${label} sound`);
+        Object.entries(CUE_PATTERN_LABELS).forEach(([pattern, patternLabel]) => {
+            const option = document.createElement('option');
+            option.value = pattern;
+            option.textContent = patternLabel;
+            select.appendChild(option);
+        });
+        select.value = settings.pattern;
+
+        const preview = document.createElement('button');
+        preview.className = 'btn-preview';
+        preview.textContent = '▶';
+        preview.setAttribute('aria-label', `Preview ${label} sound`);
+        preview.addEventListener('click', () => {
+            playPattern(select.value, Number(elements.volumeInput.value));
+        });
+
+        row.append(toggle, select, preview);
+        elements.soundCueList.appendChild(row);
+    });
+}
+
+/**
+ * Read sound settings from the settings inputs
+ */
+function readSoundInputs() {
+    const cues = {};
+    elements.soundCueList.querySelectorAll('.sound-cue').forEach(row => {
+        cues[row.dataset.cue] = {
+            enabled: row.querySelector('input[type="checkbox"]').checked,
+            pattern: row.querySelector('select').value
+        };
+    });
+
+    return {
+        volume: Number(elements.volumeInput.value),
+        cues,
+        muted: elements.soundMutedInput.checked,
+        quietHours: {
+            enabled: elements.quietEnabledInput.checked,
+            start: elements.quietStartInput.value || DEFAULT_SOUND.quietHours.start,
+            end: elements.quietEndInput.value || DEFAULT_SOUND.quietHours.end
+        }
+    };
+}
+
+// ==================== Notifications ====================
+
+/**
+ * Build notification text for a schedule event, or null for events without one
+ */
+function describeScheduleEvent(type, detail) {
+    const { to } = detail;
+    const bhpText = to.bhp ? `${to.bhp.block}-${to.bhp.hour}-${to.bhp.part}` : '';
+
+    switch (type) {
+        case SCHEDULE_EVENTS.BLOCK_START:
+            return { title: `Block ${to.block} started`, body: `${bhpText} · until ${formatTime(state.milestones.blocks[to.block - 1].end)}` };
+        case SCHEDULE_EVENTS.BLOCK_END:
+            return { title: `Block ${detail.from.block} finished`, body: `Now: ${to.label}` };
+        case SCHEDULE_EVENTS.HOUR_CHANGE: {
+            const remaining = state.profile.hoursPerBlock - to.bhp.hour;
+            const rest = remaining ? `${remaining} more hour${remaining === 1 ? '' : 's'} in this block` : 'last hour of this block';
+            return { title: `Hour ${to.bhp.hour} of block ${to.block}`, body: `${bhpText} · ${rest}` };
+        }
+        case SCHEDULE_EVENTS.WIND_DOWN_START:
+            return { title: 'Wind Down', body: `Bedtime at ${formatTime(to.bedtime)}` };
+        case SCHEDULE_EVENTS.BEFORE_BEDTIME:
+            return { title: `Bedtime in ${detail.minutes} min`, body: `Sleep at ${formatTime(detail.bedtime)}` };
+        case SCHEDULE_EVENTS.CATCH_UP:
+            return { title: `Now: ${bhpText || to.label}`, body: `${detail.missed} transitions passed while the clock was away` };
+        default:
+            return null;
+    }
+}
+
+/**
+ * Show a system notification for schedule events the user opted into
+ */
+function handleNotificationEvent(type, detail) {
+    const settings = state.notifications;
+    if (!settings.enabled || !settings.events[type]) return;
+
+    const text = describeScheduleEvent(type, detail);
+    if (text) {
+        showSystemNotification(text.title, text.body);
+    }
+}
+
+/**
+ * Show a notification, through the service worker when there is one
+ * (needed for installed apps and some mobile browsers)
+ */
+async function showSystemNotification(title, body) {
+    if (!('Notification' in window) || Notification.permission !== 'granted') return;
+
+    const options = { body, icon: 'icon-192.png', tag: 'adhdclock-schedule', renotify: true };
+
+    try {
+        const registration = 'serviceWorker' in navigator && await navigator.serviceWorker.getRegistration();
+        if (registration) {
+            await registration.showNotification(title, options);
+            return;
+        }
+    } catch (error) {
+        console.error('Service worker notification failed:', error);
+    }
+
+    // Some mobile browsers only allow notifications through a service worker
+    try {
+        new Notification(title, options);
+    } catch (error) {
+        console.error('Notification failed:', error);
+    }
+}
+
+/**
+ * Ask for notification permission if notifications were just turned on
+ */
+async function requestNotificationPermission() {
+    if (!('Notification' in window)) {
+        updateNotificationStatus();
+        return;
+    }
+    if (Notification.permission === 'default') {
+        await Notification.requestPermission();
+    }
+    updateNotificationStatus();
+}
+
+/**
+ * Show whether the browser will actually display notifications
+ */
+function updateNotificationStatus() {
+    let text = '';
+    if (!('Notification' in window)) {
+        text = 'This browser does not support notifications';
+    } else if (Notification.permission === 'denied') {
+        text = 'Notifications are blocked for this site in the browser settings';
+    } else if (Notification.permission === 'default' && state.notifications.enabled) {
+        text = 'Save to allow notifications';
+    }
+
+    elements.notificationStatus.textContent = text;
+    elements.notificationStatus.classList.toggle('hidden', !text);
+}
+
+/**
+ * Fill the notification settings inputs
+ */
+function fillNotificationInputs() {
+    elements.notifyEnabledInput.checked = state.notifications.enabled;
+    elements.notifyEventInputs.forEach(input => {
+        input.checked = !!state.notifications.events[input.dataset.notifyEvent];
+    });
+    elements.notifyBedtimeMinutesInput.value = state.notifications.bedtimeMinutes;
+    updateNotificationStatus();
+}
+
+/**
+ * Read notification settings from the settings inputs
+ */
+function readNotificationInputs() {
+    const events = {};
+    elements.notifyEventInputs.forEach(input => {
+        events[input.dataset.notifyEvent] = input.checked;
+    });
+
+    const minutes = Number(elements.notifyBedtimeMinutesInput.value);
+
+    return {
+        enabled: elements.notifyEnabledInput.checked,
+        events,
+        bedtimeMinutes: Number.isInteger(minutes) && minutes > 0 ? minutes : DEFAULT_NOTIFICATIONS.bedtimeMinutes
+    };
+}
+
+// ==================== Webhooks ====================
+
+/**
+ * Add a webhook from the webhook form
+ */
+async function addWebhook() {
+    const url = elements.webhookUrlInput.value.trim();
+    const token = elements.webhookTokenInput.value.trim();
+    const headers = elements.webhookHeadersInput.value.trim();
+    const body = elements.webhookBodyInput.value.trim();
+    const events = [...elements.webhookEventInputs]
+        .filter(input => input.checked)
+        .map(input => input.dataset.webhookEvent);
+
+    let error = null;
+    if (!/^https?:\/\/\S+$/.test(url)) {
+        error = 'Enter an http(s) URL';
+    } else if (!events.length) {
+        error = 'Pick at least one event';
+    } else {
+        error = validateWebhookTemplates(headers, body) || (token && getTokenSaveError());
+    }
+
+    elements.webhookError.textContent = error || '';
+    elements.webhookError.classList.toggle('hidden', !error);
+    if (error) return;
+
+    const hook = {
+        id: Date.now().toString(36),
+        name: elements.webhookNameInput.value.trim() || new URL(url).host,
+        method: elements.webhookMethodSelect.value,
+        url,
+        token: token ? await TokenVault.encrypt(vaultKey, token) : null,
+        headers,
+        body,
+        events
+    };
+    if (token) {
+        secrets.set(hook, token);
+    }
+
+    state.webhooks.push(hook);
+    saveWebhooks();
+
+    elements.webhookNameInput.value = '';
+    elements.webhookUrlInput.value = '';
+    elements.webhookTokenInput.value = '';
+    elements.webhookHeadersInput.value = '';
+}
+
+/**
+ * Remove a webhook
+ */
+function removeWebhook(id) {
+    const removed = state.webhooks.find(hook => hook.id === id);
+    secrets.delete(removed);
+    state.webhooks = state.webhooks.filter(hook => hook !== removed);
+    saveWebhooks();
+}
+
+/**
+ * Persist webhooks and refresh the list
+ */
+function saveWebhooks() {
+    storeSetting(WEBHOOKS_STORAGE_KEY, JSON.stringify(state.webhooks));
+    renderWebhookList();
+}
+
+/**
+ * Render the webhook list in the settings panel
+ */
+function renderWebhookList() {
+    elements.webhookList.innerHTML = '';
+
+    state.webhooks.forEach(hook => {
+        const item = document.createElement('li');
+
+        const text = document.createElement('span');
+        text.textContent = `${hook.name} · ${hook.method} · ${hook.events.length} event${hook.events.length === 1 ? '' : 's'}`;
+        text.title = hook.url;
+
+        const testBtn = document.createElement('button');
+        testBtn.className = 'btn-preview';
+        testBtn.textContent = 'Test';
+        testBtn.addEventListener('click', () => testWebhook(hook, testBtn));
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'btn-remove';
+        removeBtn.textContent = '×';
+        removeBtn.setAttribute('aria-label', `Remove ${hook.name}`);
+        removeBtn.addEventListener('click', () => removeWebhook(hook.id));
+
+        item.append(text, testBtn, removeBtn);
+        elements.webhookList.appendChild(item);
+    });
+}
+
+/**
+ * Values for the {placeholders} in webhook templates
+ */
+function getWebhookValues(type, detail) {
+    const { to } = detail;
+    return {
+        event: type,
+        phase: to.phase,
+        label: to.label,
+        bhp: to.bhp ? `${to.bhp.block}-${to.bhp.hour}-${to.bhp.part}` : '',
+        block: to.block || '',
+        hour: to.bhp ? to.bhp.hour : '',
+        part: to.bhp ? to.bhp.part : '',
+        task: state.isFocusing ? state.focusTask : '',
+        time: new Date(to.time).toISOString(),
+        date: to.milestones.date,
+        bedtime: to.bedtime.toISOString(),
+        minutes: detail.minutes || '',
+        missed: detail.missed || ''
+    };
+}
+
+/**
+ * Replace {placeholders} in a template, passing each value through escape
+ * Unknown placeholders are left as they are
+ */
+function fillTemplate(template, values, escape = String) {
+    return template.replace(/\{(\w+)\}/g, (match, name) =>
+        name in values ? escape(String(values[name])) : match);
+}
+
+/**
+ * Escape a value for use inside a JSON string
+ */
+function escapeJsonString(value) {
+    return JSON.stringify(value).slice(1, -1);
+}
+
+/**
+ * Parse "Name: value" lines into a headers object
+ */
+function parseHeaderLines(text) {
+    const headers = {};
+    text.split('\n').map(line => line.trim()).filter(Boolean).forEach(line => {
+        const colon = line.indexOf(':');
+        if (colon < 1) {
+            throw new Error(`Header line "${line}" needs a name and a colon`);
+        }
+        headers[line.slice(0, colon).trim()] = line.slice(colon + 1).trim();
+    });
+    return headers;
+}
+
+/**
+ * Check that the headers parse and the body is JSON once placeholders are filled in
+ * Returns an error message, or null
+ */
+function validateWebhookTemplates(headers, body) {
+    const sample = { event: 'blockStart', phase: 'block1', label: 'Block 1', bhp: '1-1-1', task: 'Sample "task"' };
+
+    try {
+        parseHeaderLines(headers);
+    } catch (error) {
+        return error.message;
+    }
+
+    if (body) {
+        try {
+            JSON.parse(fillTemplate(body, sample, escapeJsonString));
+        } catch (error) {
+            return 'Body template is not valid JSON (put placeholders inside quotes)';
         }
     }
 
-    // Update local state
-    state.isFocusing = false;
-    state.focusTask = '';
-    updateFocusUI();
+    return null;
+}
+
+/**
+ * Send one webhook request for a schedule event
+ * Same auth as the focus endpoints: the token goes in a Bearer Authorization header
+ */
+async function sendWebhook(hook, type, detail) {
+    if (isTokenLocked(hook)) {
+        throw new Error('token locked, enter the passphrase in the settings');
+    }
+
+    const values = getWebhookValues(type, detail);
+    const headers = { ...parseHeaderLines(fillTemplate(hook.headers, values)), ...getAuthHeaders(hook) };
+
+    const options = { method: hook.method, headers, keepalive: true };
+    if (hook.body && hook.method !== 'GET') {
+        options.body = fillTemplate(hook.body, values, escapeJsonString);
+        if (!Object.keys(headers).some(name => name.toLowerCase() === 'content-type')) {
+            headers['Content-Type'] = 'application/json';
+        }
+    }
+
+    return fetch(fillTemplate(hook.url, values, encodeURIComponent), options);
+}
+
+/**
+ * Fire the webhooks subscribed to a schedule event
+ * Events are only meaningful when they happen, so failed requests are logged, not retried
+ */
+function handleWebhookEvent(type, detail) {
+    state.webhooks.filter(hook => hook.events.includes(type)).forEach(hook => {
+        sendWebhook(hook, type, detail)
+            .then(response => {
+                if (!response.ok) {
+                    console.error(`Webhook ${hook.name} failed for ${type}: ${response.status} ${response.statusText}`);
+                }
+            })
+            .catch(error => console.error(`Webhook ${hook.name} failed for ${type}:`, error));
+    });
 }
 
 /**
- * Check focus state from endpoint
+ * Send a webhook right away with the current schedule position
  */
-async function checkFocusState() {
-    if (!state.endpointUrl) return;
+async function testWebhook(hook, testBtn) {
+    const tick = state.lastTick;
+    const result = elements.webhookResult;
+
+    testBtn.disabled = true;
+    result.classList.add('hidden');
 
     try {
-        const response = await fetch(`${state.endpointUrl}/getState`, {
-            headers: getApiHeaders()
-        });
+        const response = await sendWebhook(hook, 'test', { from: tick, to: tick });
         if (response.ok) {
-            const data = await response.json();
-            state.isFocusing = data.focused || false;
-            state.focusTask = data.task || '';
-            updateFocusUI();
+            result.textContent = `${hook.name}: sent (${response.status})`;
+            result.className = 'test-result success';
+        } else {
+            result.textContent = `${hook.name}: error ${response.status} ${response.statusText}`;
+            result.className = 'test-result error';
         }
     } catch (error) {
-        console.error('Failed to check focus state:', error);
+        result.textContent = `${hook.name}: request failed: ${error.message}`;
+        result.className = 'test-result error';
     }
+
+    testBtn.disabled = false;
 }
 
+// ==================== Accessibility ====================
+
+// Transition events gathered during one tick, announced together
+let pendingAnnouncement = null;
+// System preferences followed on top of the settings
+const contrastQuery = window.matchMedia('(prefers-contrast: more)');
+const reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+
 /**
- * Update focus UI based on state
+ * Apply high contrast and text-only mode (high contrast also follows the system preference)
  */
-function updateFocusUI() {
+function applyAccessibility() {
+    const root = document.documentElement;
+    root.classList.toggle('high-contrast', state.accessibility.highContrast || contrastQuery.matches);
+    root.classList.toggle('text-only', state.accessibility.textOnly);
+}
+
+/**
+ * Fill the accessibility settings inputs
+ */
+function fillAccessibilityInputs() {
+    elements.highContrastInput.checked = state.accessibility.highContrast;
+    elements.textOnlyInput.checked = state.accessibility.textOnly;
+    elements.announceSelect.value = state.accessibility.announce;
+}
+
+/**
+ * Read accessibility settings from the settings inputs
+ */
+function readAccessibilityInputs() {
+    return {
+        highContrast: elements.highContrastInput.checked,
+        textOnly: elements.textOnlyInput.checked,
+        announce: elements.announceSelect.value
+    };
+}
+
+/**
+ * Spoken duration, e.g. "1 hour 5 minutes"
+ */
+function formatSpokenMinutes(totalMinutes) {
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    const parts = [];
+    if (hours) parts.push(`${hours} hour${hours === 1 ? '' : 's'}`);
+    if (minutes || !hours) parts.push(`${minutes} minute${minutes === 1 ? '' : 's'}`);
+    return parts.join(' ');
+}
+
+/**
+ * Describe the clock in words, e.g. "Block 1, hour 2, part 3, 7 minutes left in this part"
+ */
+function describeClock(now, phase) {
+    const left = end => formatSpokenMinutes(Math.max(Math.ceil((end - now.getTime()) / MINUTE), 0));
+    let text;
+
+    if (isBlockPhase(phase)) {
+        const block = state.milestones.blocks.find(b => blockPhase(b.number) === phase);
+        const bhp = calculateBHP(now, block);
+        const partEnd = now.getTime() + (1 - bhp.partProgress) * state.profile.partMinutes * MINUTE;
+        text = `Block ${bhp.block}, hour ${bhp.hour}, part ${bhp.part}, ${left(partEnd)} left in this part`;
+    } else {
+        text = `${getPhaseLabel(phase)}, ${left(getPhaseRange(phase).end.getTime())} left`;
+    }
+
     if (state.isFocusing) {
-        elements.centerDisplay.classList.add('focusing');
-        elements.focusTaskText.textContent = state.focusTask;
+        text += `. Focusing on ${state.focusTask}`;
+    }
+    return text;
+}
+
+/**
+ * Keep the clock's text alternative (and the text-only view) up to date
+ */
+function updateClockDescription(now, phase) {
+    const text = describeClock(now, phase);
+    elements.clockSvg.setAttribute('aria-label', text);
+    elements.clockDescription.textContent = text;
+}
+
+/**
+ * Read a message out through the live region
+ */
+function announce(message) {
+    // Emptying first makes screen readers repeat a message identical to the last one
+    elements.announcer.textContent = '';
+    setTimeout(() => {
+        elements.announcer.textContent = message;
+    }, ANNOUNCE_DELAY);
+}
+
+/**
+ * Announce transitions down to the level picked in the settings, once per tick
+ */
+function handleAnnouncementEvent(type, detail) {
+    const level = ANNOUNCED_EVENTS[type];
+    const levels = Object.keys(ANNOUNCE_LEVELS);
+    if (!level || levels.indexOf(level) > levels.indexOf(state.accessibility.announce)) return;
+
+    if (pendingAnnouncement === null) {
+        pendingAnnouncement = [];
+        queueMicrotask(() => {
+            const notes = pendingAnnouncement;
+            pendingAnnouncement = null;
+            announce([...notes, describeClock(new Date(detail.to.time), detail.to.phase)].join('. '));
+        });
+    }
+
+    if (type === SCHEDULE_EVENTS.BEFORE_BEDTIME) {
+        pendingAnnouncement.push(`Bedtime in ${formatSpokenMinutes(detail.minutes)}`);
+    }
+}
+
+/**
+ * Keep Tab and Shift+Tab inside a dialog or panel
+ */
+function trapFocus(e, container) {
+    if (e.key !== 'Tab') return;
+
+    const focusable = [...container.querySelectorAll(FOCUSABLE_SELECTOR)]
+        .filter(el => !el.disabled && !el.hidden && !el.closest('.hidden'));
+    if (!focusable.length) return;
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (e.shiftKey && document.activeElement === first) {
+        e.preventDefault();
+        last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+    }
+}
+
+// ==================== Keyboard Shortcuts ====================
+
+// Action being remapped in the shortcuts overlay, waiting for its new key
+let shortcutCapture = null;
+// Hides the toast after a moment
+let toastTimer = null;
+
+/**
+ * Load shortcut remappings over the defaults
+ */
+function loadShortcuts() {
+    const saved = localStorage.getItem(SHORTCUTS_STORAGE_KEY);
+    if (!saved) return;
+
+    try {
+        state.shortcuts = { ...getDefaultShortcuts(), ...JSON.parse(saved) };
+    } catch (error) {
+        console.error('Failed to load shortcuts:', error);
+    }
+}
+
+/**
+ * Default key of every keyboard action
+ */
+function getDefaultShortcuts() {
+    const shortcuts = {};
+    Object.entries(KEYBOARD_ACTIONS).forEach(([action, { key }]) => {
+        shortcuts[action] = key;
+    });
+    return shortcuts;
+}
+
+/**
+ * Persist shortcuts and refresh the list showing them
+ */
+function saveShortcuts() {
+    storeSetting(SHORTCUTS_STORAGE_KEY, JSON.stringify(state.shortcuts));
+    renderShortcutList();
+}
+
+/**
+ * Run a keyboard action (see KEYBOARD_ACTIONS)
+ */
+function runAction(action) {
+    const handlers = {
+        toggleFocus: handleCenterClick,
+        toggleSettings,
+        toggleHistory,
+        toggleTasks,
+        toggleTeam,
+        toggleTimeline,
+        cycleTheme,
+        toggleMute,
+        showShortcuts,
+        openPalette
+    };
+    handlers[action]();
+}
+
+/**
+ * Key combination of a key press, e.g. 'F', 'Ctrl+K' or '?' - null for lone modifier keys
+ */
+function getKeyCombo(e) {
+    if (['Control', 'Shift', 'Alt', 'Meta'].includes(e.key)) return null;
+
+    const parts = [];
+    if (e.ctrlKey) parts.push('Ctrl');
+    if (e.altKey) parts.push('Alt');
+    if (e.metaKey) parts.push('Meta');
+    // Shift is already part of symbols ('?' rather than Shift+/), so it only counts for letters and named keys
+    if (e.shiftKey && (e.key.length > 1 || e.key.toLowerCase() !== e.key.toUpperCase())) parts.push('Shift');
+
+    if (e.key === ' ') {
+        parts.push('Space');
     } else {
-        elements.centerDisplay.classList.remove('focusing');
-        elements.focusTaskText.textContent = '';
+        parts.push(e.key.length === 1 ? e.key.toUpperCase() : e.key);
+    }
+    return parts.join('+');
+}
+
+/**
+ * Whether key presses on an element are typing
+ */
+function isTypingTarget(target) {
+    return target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+}
+
+/**
+ * Global key handler: remapping in the shortcuts overlay, then shortcuts
+ * Plain keys are left alone while typing, combinations with Ctrl/Alt/Meta always count
+ */
+function handleShortcutKey(e) {
+    if (shortcutCapture) {
+        captureShortcut(e);
+        return;
+    }
+
+    const combo = getKeyCombo(e);
+    if (!combo) return;
+    if (isTypingTarget(e.target) && !e.ctrlKey && !e.altKey && !e.metaKey) return;
+
+    const action = Object.keys(state.shortcuts).find(id => state.shortcuts[id] === combo);
+    if (!action) return;
+
+    e.preventDefault();
+    runAction(action);
+}
+
+/**
+ * Assign the pressed key to the action being remapped
+ * Escape cancels, Backspace/Delete leaves the action without a key
+ */
+function captureShortcut(e) {
+    const combo = getKeyCombo(e);
+    if (!combo) return;
+
+    e.preventDefault();
+    e.stopPropagation();
+    const action = shortcutCapture;
+    shortcutCapture = null;
+
+    if (combo !== 'Escape') {
+        const key = combo === 'Backspace' || combo === 'Delete' ? '' : combo;
+        // One key runs one action, so a taken key moves over
+        Object.keys(state.shortcuts).forEach(id => {
+            if (key && state.shortcuts[id] === key) state.shortcuts[id] = '';
+        });
+        state.shortcuts[action] = key;
+    }
+    saveShortcuts();
+}
+
+/**
+ * Show the shortcuts overlay
+ */
+function showShortcuts() {
+    closePalette();
+    renderShortcutList();
+    elements.shortcutsOverlay.classList.remove('hidden');
+    elements.shortcutsCloseButton.focus();
+}
+
+/**
+ * Hide the shortcuts overlay, dropping a remap in progress
+ */
+function hideShortcuts() {
+    shortcutCapture = null;
+    elements.shortcutsOverlay.classList.add('hidden');
+}
+
+/**
+ * List the actions with their keys, each key button remaps its action
+ */
+function renderShortcutList() {
+    elements.shortcutList.innerHTML = '';
+
+    Object.entries(KEYBOARD_ACTIONS).forEach(([action, { label }]) => {
+        const item = document.createElement('li');
+        const name = document.createElement('span');
+        name.textContent = label;
+
+        const keyBtn = document.createElement('button');
+        keyBtn.className = 'shortcut-key';
+        keyBtn.textContent = shortcutCapture === action ? 'Press a key…' : state.shortcuts[action] || 'None';
+        keyBtn.setAttribute('aria-label', `Change shortcut for ${label}`);
+        keyBtn.addEventListener('click', () => {
+            shortcutCapture = action;
+            renderShortcutList();
+        });
+
+        item.append(name, keyBtn);
+        elements.shortcutList.appendChild(item);
+    });
+}
+
+/**
+ * Put every shortcut back to its default key
+ */
+function resetShortcuts() {
+    shortcutCapture = null;
+    state.shortcuts = getDefaultShortcuts();
+    saveShortcuts();
+}
+
+/**
+ * Switch to the next theme of the theme selector
+ */
+function cycleTheme() {
+    const themes = getThemeEntries().map(([id]) => id);
+    const next = themes[(themes.indexOf(state.theme) + 1) % themes.length];
+    setTheme(next);
+    showToast(`Theme: ${findTheme(next).name}`);
+}
+
+/**
+ * Mute or unmute all sound cues
+ */
+function toggleMute() {
+    state.sound.muted = !state.sound.muted;
+    elements.soundMutedInput.checked = state.sound.muted;
+    storeSetting(SOUND_STORAGE_KEY, JSON.stringify(state.sound));
+    showToast(state.sound.muted ? 'Sounds muted' : 'Sounds on');
+}
+
+/**
+ * Briefly show a message for actions that change nothing visible
+ */
+function showToast(message) {
+    elements.toast.textContent = message;
+    elements.toast.classList.remove('hidden');
+    clearTimeout(toastTimer);
+    toastTimer = setTimeout(() => elements.toast.classList.add('hidden'), TOAST_DURATION);
+}
+
+// ==================== Command Palette ====================
+
+// Task titles offered by the palette, loaded when it opens
+let paletteTasks = [];
+// Index of the highlighted result
+let paletteSelection = 0;
+
+/**
+ * Open the command palette
+ */
+async function openPalette() {
+    hideShortcuts();
+    elements.commandPalette.classList.remove('hidden');
+    elements.paletteInput.value = '';
+    elements.paletteInput.focus();
+
+    paletteTasks = [];
+    renderPaletteResults();
+    paletteTasks = await getRecentTaskTitles();
+    renderPaletteResults();
+}
+
+/**
+ * Close the command palette
+ */
+function closePalette() {
+    elements.commandPalette.classList.add('hidden');
+}
+
+/**
+ * Actions and tasks matching the palette input
+ */
+function getPaletteResults() {
+    const query = elements.paletteInput.value.trim().toLowerCase();
+    const matches = text => text.toLowerCase().includes(query);
+
+    const actions = Object.entries(KEYBOARD_ACTIONS)
+        .filter(([action, { label }]) => action !== 'openPalette' && matches(label))
+        .map(([action, { label }]) => ({ label, hint: state.shortcuts[action], run: () => runAction(action) }));
+
+    const tasks = paletteTasks
+        .filter(matches)
+        .map(title => ({ label: `Focus on: ${title}`, hint: '', run: () => focusOnTask(title) }));
+
+    return [...actions, ...tasks].slice(0, MAX_PALETTE_RESULTS);
+}
+
+/**
+ * Render the palette results, keeping the highlight in range
+ */
+function renderPaletteResults() {
+    const results = getPaletteResults();
+    paletteSelection = Math.min(paletteSelection, Math.max(results.length - 1, 0));
+    elements.paletteResults.innerHTML = '';
+
+    results.forEach((result, i) => {
+        const item = document.createElement('li');
+        item.setAttribute('role', 'option');
+        item.setAttribute('aria-selected', i === paletteSelection);
+        item.classList.toggle('selected', i === paletteSelection);
+
+        const label = document.createElement('span');
+        label.textContent = result.label;
+        item.appendChild(label);
+        if (result.hint) {
+            const hint = document.createElement('kbd');
+            hint.textContent = result.hint;
+            item.appendChild(hint);
+        }
+
+        item.addEventListener('click', () => runPaletteResult(result));
+        elements.paletteResults.appendChild(item);
+    });
+
+    if (!results.length) {
+        const empty = document.createElement('li');
+        empty.className = 'palette-empty';
+        empty.textContent = 'No matching commands or tasks';
+        elements.paletteResults.appendChild(empty);
+    }
+}
+
+/**
+ * Close the palette and run a result
+ */
+function runPaletteResult(result) {
+    closePalette();
+    result.run();
+}
+
+/**
+ * Arrow keys move the highlight, Enter runs it, Escape closes the palette
+ */
+function handlePaletteKey(e) {
+    const results = getPaletteResults();
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        paletteSelection = (paletteSelection + step + results.length) % Math.max(results.length, 1);
+        renderPaletteResults();
+    } else if (e.key === 'Enter' && results[paletteSelection]) {
+        runPaletteResult(results[paletteSelection]);
+    } else if (e.key === 'Escape') {
+        closePalette();
+    }
+}
+
+/**
+ * Start focusing on a task, ending the running session first
+ */
+function focusOnTask(title) {
+    if (state.isFocusing) {
+        if (state.focusTask === title) return;
+        stopFocus();
+    }
+
+    fillFocusTimerInputs();
+    elements.focusTaskInput.value = title;
+    startFocus();
+}
+
+// ==================== Installable App ====================
+
+// Deferred beforeinstallprompt event, kept until the install button is clicked
+let installPrompt = null;
+
+/**
+ * Register the service worker for offline use and offer installation
+ */
+function registerServiceWorker() {
+    window.addEventListener('beforeinstallprompt', (e) => {
+        e.preventDefault();
+        installPrompt = e;
+        elements.installButton.classList.remove('hidden');
+    });
+    window.addEventListener('appinstalled', () => {
+        installPrompt = null;
+        elements.installButton.classList.add('hidden');
+    });
+    elements.installButton.addEventListener('click', promptInstall);
+
+    // Service workers need http(s); opening index.html from disk still works, just not offline
+    if (!('serviceWorker' in navigator) || !location.protocol.startsWith('http')) return;
+
+    navigator.serviceWorker.register('sw.js').catch(error => {
+        console.error('Failed to register service worker:', error);
+    });
+}
+
+/**
+ * Show the browser's install prompt
+ */
+async function promptInstall() {
+    if (!installPrompt) return;
+
+    installPrompt.prompt();
+    const { outcome } = await installPrompt.userChoice;
+    if (outcome === 'accepted') {
+        elements.installButton.classList.add('hidden');
     }
+    installPrompt = null;
 }
 
 // Initialize the application when DOM is ready
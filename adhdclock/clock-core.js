@@ -0,0 +1,789 @@
+/**
+ * ADHD Clock Core
+ *
+ * The schedule math behind the clock, with no DOM or stored state:
+ * every function takes the schedule (and a time) it works on.
+ *
+ * A schedule has the same shape as the app state:
+ * { anchor, bedtime, wakeTime, timeZone, profile, weeklySchedule, scheduleOverrides, customPhases }
+ *
+ * Schedules are wall-clock: bedtime, wake and fixed-time phases keep their clock time
+ * across DST changes, in the schedule's IANA time zone ('' = the device's zone).
+ *
+ * Loaded as a plain script it defines the global ClockCore;
+ * under Node it is a CommonJS module (used by the tests).
+ */
+
+(function (root, factory) {
+    const core = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = core;
+    } else {
+        root.ClockCore = core;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Time constants in milliseconds
+    const MINUTE = 60 * 1000;
+    const HOUR = 60 * MINUTE;
+    const DAY = 24 * HOUR;
+
+    // Default schedule profile - durations in minutes
+    const DEFAULT_PROFILE = {
+        partMinutes: 12,
+        partsPerHour: 5,
+        hoursPerBlock: 5,
+        blockCount: 3,
+        sleepMinutes: 8 * 60,
+        setUpMinutes: 30,
+        windDownMinutes: 30
+    };
+
+    // Allowed range for each profile field (segment counts are capped so the rings stay readable)
+    const PROFILE_LIMITS = {
+        partMinutes: { min: 1, max: 120 },
+        partsPerHour: { min: 1, max: 12 },
+        hoursPerBlock: { min: 1, max: 12 },
+        blockCount: { min: 1, max: 6 },
+        sleepMinutes: { min: 0, max: 16 * 60 },
+        setUpMinutes: { min: 0, max: 4 * 60 },
+        windDownMinutes: { min: 0, max: 4 * 60 }
+    };
+
+    // Human readable field names for validation messages
+    const PROFILE_FIELD_LABELS = {
+        partMinutes: 'Part length',
+        partsPerHour: 'Parts per hour',
+        hoursPerBlock: 'Hours per block',
+        blockCount: 'Number of blocks',
+        sleepMinutes: 'Sleep',
+        setUpMinutes: 'Set up',
+        windDownMinutes: 'Wind down'
+    };
+
+    // Phase identifiers (block phases are numbered: block1, block2, ...)
+    const PHASES = {
+        SLEEP: 'sleep',
+        SET_UP: 'setup',
+        FREE: 'free',
+        WIND_DOWN: 'winddown'
+    };
+
+    const BLOCK_PHASE_PREFIX = 'block';
+    const CUSTOM_PHASE_PREFIX = 'custom-';
+
+    // What a day's schedule is anchored to
+    const ANCHORS = {
+        BEDTIME: 'bedtime',
+        WAKE: 'wake'
+    };
+
+    // Bedtimes before this hour belong to the night of the previous calendar day (e.g. 00:30)
+    const NIGHT_CUTOFF_HOUR = 12;
+
+    const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+    // ==================== Profile ====================
+
+    /**
+     * Convert a profile into durations in milliseconds
+     */
+    function getDurations(profile) {
+        const part = profile.partMinutes * MINUTE;
+        const workHour = part * profile.partsPerHour;
+        const block = workHour * profile.hoursPerBlock;
+
+        return {
+            part,
+            workHour,
+            block,
+            sleep: profile.sleepMinutes * MINUTE,
+            setUp: profile.setUpMinutes * MINUTE,
+            windDown: profile.windDownMinutes * MINUTE
+        };
+    }
+
+    /**
+     * Validate a schedule profile
+     * Returns an error message, or null if the profile is usable
+     */
+    function validateProfile(profile) {
+        for (const [field, { min, max }] of Object.entries(PROFILE_LIMITS)) {
+            const value = profile[field];
+            if (!Number.isInteger(value) || value < min || value > max) {
+                return `${PROFILE_FIELD_LABELS[field]} must be a whole number from ${min} to ${max}`;
+            }
+        }
+
+        const d = getDurations(profile);
+        const dayLength = d.sleep + d.setUp + d.block * profile.blockCount + d.windDown;
+        if (dayLength > DAY) {
+            const overMinutes = Math.ceil((dayLength - DAY) / MINUTE);
+            return `Day structure is ${overMinutes} min longer than 24 hours`;
+        }
+
+        return null;
+    }
+
+    // ==================== Dates ====================
+
+    // Date formatters per time zone (creating one is slow)
+    const wallFormatters = {};
+
+    /**
+     * Parse time string (HH:MM) to hours and minutes
+     */
+    function parseTime(timeStr) {
+        const [hours, minutes] = timeStr.split(':').map(Number);
+        return { hours, minutes };
+    }
+
+    /**
+     * Check whether a string is a time of day as time inputs give it (HH:MM)
+     */
+    function isValidTime(timeStr) {
+        const match = /^(\d{2}):(\d{2})$/.exec(timeStr);
+        return Boolean(match) && Number(match[1]) < 24 && Number(match[2]) < 60;
+    }
+
+    /**
+     * Check whether a string is an IANA time zone this browser knows
+     */
+    function isValidTimeZone(timeZone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Wall-clock time of an instant in a time zone, as milliseconds on a UTC timeline
+     * (so calendar math on it never meets a DST change)
+     */
+    function toWallTime(date, timeZone) {
+        if (!timeZone) {
+            return Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(),
+                date.getHours(), date.getMinutes(), date.getSeconds(), date.getMilliseconds());
+        }
+
+        if (!wallFormatters[timeZone]) {
+            wallFormatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+                timeZone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: 'numeric',
+                second: 'numeric'
+            });
+        }
+
+        const parts = {};
+        wallFormatters[timeZone].formatToParts(date).forEach(({ type, value }) => {
+            parts[type] = Number(value);
+        });
+        const milliseconds = ((date.getTime() % 1000) + 1000) % 1000;
+        return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second, milliseconds);
+    }
+
+    /**
+     * UTC offset of a time zone at an instant, in milliseconds
+     */
+    function getOffset(time, timeZone) {
+        return toWallTime(new Date(time), timeZone) - time;
+    }
+
+    /**
+     * Instant at which a time zone's clocks show a wall-clock time
+     * Times skipped by a DST change move forward by the gap, repeated times use the first occurrence
+     */
+    function fromWallTime(wall, timeZone) {
+        // The offsets a day either side cover both sides of any change near this time
+        const candidates = [wall - getOffset(wall - DAY, timeZone), wall - getOffset(wall + DAY, timeZone)];
+        const matching = candidates.filter(time => toWallTime(new Date(time), timeZone) === wall);
+
+        return new Date(matching.length ? Math.min(...matching) : Math.max(...candidates));
+    }
+
+    /**
+     * Move an instant by an amount of wall-clock time (e.g. 8 hours of sleep ends at the same
+     * clock time on the night clocks change)
+     */
+    function addWallTime(date, ms, timeZone) {
+        return fromWallTime(toWallTime(date, timeZone) + ms, timeZone);
+    }
+
+    /**
+     * Wall-clock milliseconds of midnight starting a YYYY-MM-DD key
+     */
+    function keyToWallTime(key) {
+        const [year, month, day] = key.split('-').map(Number);
+        return Date.UTC(year, month - 1, day);
+    }
+
+    /**
+     * Format a wall-clock time as HH:MM
+     */
+    function formatWallTime(wall) {
+        return new Date(wall).toISOString().slice(11, 16);
+    }
+
+    /**
+     * Format a date as a YYYY-MM-DD key in a time zone
+     */
+    function toDateKey(date, timeZone) {
+        return new Date(toWallTime(date, timeZone)).toISOString().slice(0, 10);
+    }
+
+    /**
+     * Midnight starting a YYYY-MM-DD key in a time zone
+     */
+    function fromDateKey(key, timeZone) {
+        return fromWallTime(keyToWallTime(key), timeZone);
+    }
+
+    /**
+     * Shift a date key by a number of calendar days
+     */
+    function addDays(key, days) {
+        return new Date(keyToWallTime(key) + days * DAY).toISOString().slice(0, 10);
+    }
+
+    /**
+     * Day of the week of a date key (0 = Sunday)
+     */
+    function getWeekday(key) {
+        return new Date(keyToWallTime(key)).getUTCDay();
+    }
+
+    /**
+     * Find where a time zone's UTC offset changes between two instants, or null if it does not
+     * Returns { time, minutes, from, to }: the instant, the size of the jump and the clock times either side
+     */
+    function getOffsetChange(start, end, timeZone) {
+        const startOffset = getOffset(start.getTime(), timeZone);
+        const endOffset = getOffset(end.getTime(), timeZone);
+        if (startOffset === endOffset) return null;
+
+        // Changes happen on the minute, so narrow down to one
+        let low = start.getTime();
+        let high = end.getTime();
+        while (high - low > MINUTE) {
+            const middle = low + Math.floor((high - low) / 2 / MINUTE) * MINUTE;
+            if (getOffset(middle, timeZone) === startOffset) {
+                low = middle;
+            } else {
+                high = middle;
+            }
+        }
+
+        return {
+            time: new Date(high),
+            minutes: (endOffset - startOffset) / MINUTE,
+            from: formatWallTime(high + startOffset),
+            to: formatWallTime(high + endOffset)
+        };
+    }
+
+    // ==================== Day Schedules ====================
+
+    /**
+     * Pick the schedule for a calendar day: dated override, then weekday, then default
+     * Only entries with a time for the active anchor apply
+     */
+    function getScheduleForDate(schedule, key) {
+        const anchor = schedule.anchor;
+
+        const override = schedule.scheduleOverrides[key];
+        if (override && override[anchor]) {
+            return { anchor, time: override[anchor], source: 'override', label: override.label || 'Override' };
+        }
+
+        const weekday = getWeekday(key);
+        const entry = schedule.weeklySchedule[weekday];
+        if (entry && entry[anchor]) {
+            return { anchor, time: entry[anchor], source: 'weekday', label: WEEKDAY_NAMES[weekday] };
+        }
+
+        const time = anchor === ANCHORS.WAKE ? schedule.wakeTime : schedule.bedtime;
+        return { anchor, time, source: 'default', label: 'Default' };
+    }
+
+    /**
+     * Get the anchor time (bedtime or wake time) scheduled for a calendar day
+     * Bedtimes before NIGHT_CUTOFF_HOUR fall after midnight, on the next calendar date
+     */
+    function getAnchorTimeForDate(schedule, key) {
+        const { hours, minutes } = parseTime(getScheduleForDate(schedule, key).time);
+        let wall = keyToWallTime(key) + hours * HOUR + minutes * MINUTE;
+        if (schedule.anchor === ANCHORS.BEDTIME && hours < NIGHT_CUTOFF_HOUR) {
+            wall += DAY;
+        }
+        return fromWallTime(wall, schedule.timeZone);
+    }
+
+    /**
+     * Get the bedtime that ends a calendar day
+     * When anchored to wake time, bedtime is the next day's wake time minus sleep (on the wall clock)
+     */
+    function getDayEnd(schedule, key) {
+        if (schedule.anchor === ANCHORS.WAKE) {
+            const nextWake = getAnchorTimeForDate(schedule, addDays(key, 1));
+            return addWallTime(nextWake, -getDurations(schedule.profile).sleep, schedule.timeZone);
+        }
+        return getAnchorTimeForDate(schedule, key);
+    }
+
+    /**
+     * Find the calendar day whose schedule covers a given time
+     * Day D runs from the bedtime ending D-1 to the bedtime ending D
+     */
+    function getDayKeyForTime(schedule, now) {
+        let key = toDateKey(now, schedule.timeZone);
+
+        // Day ends can sit up to a day away from their date, so step at most a couple of times
+        for (let i = 0; i < 3 && now >= getDayEnd(schedule, key); i++) {
+            key = addDays(key, 1);
+        }
+        for (let i = 0; i < 3 && now < getDayEnd(schedule, addDays(key, -1)); i++) {
+            key = addDays(key, -1);
+        }
+
+        return key;
+    }
+
+    // ==================== Milestones ====================
+
+    /**
+     * Calculate all milestone times for the day containing a given time
+     * The day's sleep follows the previous day's bedtime, its wind down leads into its own bedtime,
+     * so both anchoring modes share the same layout
+     * Sleep and wind down are measured on the wall clock, so a DST change makes the night
+     * shorter or longer instead of moving the day; set up and blocks are real durations
+     */
+    function calculateMilestones(schedule, now) {
+        const d = getDurations(schedule.profile);
+        const { timeZone } = schedule;
+        const dayKey = getDayKeyForTime(schedule, now);
+        const recentBedtime = getDayEnd(schedule, addDays(dayKey, -1));
+        const nextBedtime = getDayEnd(schedule, dayKey);
+
+        const milestones = {
+            date: dayKey,
+            schedule: getScheduleForDate(schedule, dayKey)
+        };
+
+        milestones.windDownEnd = new Date(nextBedtime);
+        milestones.windDownStart = new Date(Math.max(
+            addWallTime(nextBedtime, -d.windDown, timeZone).getTime(),
+            recentBedtime.getTime()
+        ));
+
+        // Days shorter than the profile (an earlier bedtime) lose the end of their work blocks
+        const limit = milestones.windDownStart.getTime();
+        const clamp = (time) => new Date(Math.min(time, limit));
+
+        milestones.sleepStart = new Date(recentBedtime);
+        milestones.sleepEnd = clamp(addWallTime(recentBedtime, d.sleep, timeZone).getTime());
+        milestones.setUpStart = new Date(milestones.sleepEnd);
+        milestones.setUpEnd = clamp(milestones.sleepEnd.getTime() + d.setUp);
+
+        const { blocks, customPhases, workEnd } = layoutBlocks(schedule, milestones, dayKey, clamp);
+        milestones.blocks = blocks;
+        milestones.customPhases = customPhases;
+
+        // Whatever the profile leaves unplanned between the last block and wind down
+        milestones.freeStart = new Date(workEnd);
+        milestones.freeEnd = new Date(milestones.windDownStart);
+
+        // Clocks going forward or back during the day (usually while asleep)
+        milestones.offsetChange = getOffsetChange(milestones.sleepStart, milestones.windDownEnd, timeZone);
+
+        return milestones;
+    }
+
+    /**
+     * Lay out the work blocks after set up, pausing them for custom phases
+     * Block start/end are wall-clock times; pauses inside a block do not count as work time
+     */
+    function layoutBlocks(schedule, milestones, dayKey, clamp) {
+        const d = getDurations(schedule.profile);
+        const { hoursPerBlock } = schedule.profile;
+        const customPhases = [];
+
+        const addCustomPhase = (def, start, end, blockNumber) => {
+            customPhases.push({
+                phase: `${CUSTOM_PHASE_PREFIX}${def.id}`,
+                label: def.name,
+                style: def.style,
+                start: clamp(start),
+                end: clamp(end),
+                block: blockNumber
+            });
+        };
+
+        // Fixed-time phases on this calendar day, in chronological order
+        const fixed = schedule.customPhases
+            .filter(def => def.time)
+            .map(def => {
+                const { hours, minutes } = parseTime(def.time);
+                const start = fromWallTime(keyToWallTime(dayKey) + hours * HOUR + minutes * MINUTE, schedule.timeZone).getTime();
+                return { def, start, end: start + def.minutes * MINUTE, used: false };
+            })
+            .sort((a, b) => a.start - b.start);
+
+        const blocks = [];
+        let cursor = milestones.setUpEnd.getTime();
+
+        for (let number = 1; number <= schedule.profile.blockCount; number++) {
+            const block = { number, start: clamp(cursor), pauses: [] };
+
+            // Phases placed after a work hour inside this block, by work time offset
+            const relative = schedule.customPhases
+                .filter(def => def.block === number && def.hour < hoursPerBlock)
+                .map(def => ({ def, offset: def.hour * d.workHour, used: false }))
+                .sort((a, b) => a.offset - b.offset);
+
+            let worked = 0;
+            while (worked < d.block) {
+                const workEnd = cursor + d.block - worked;
+                const nextRelative = relative.find(r => !r.used);
+                const nextFixed = fixed.find(f => !f.used && f.end > cursor && f.start < workEnd);
+
+                const relativeAt = nextRelative ? cursor + nextRelative.offset - worked : Infinity;
+                const fixedAt = nextFixed ? Math.max(nextFixed.start, cursor) : Infinity;
+                const pauseAt = Math.min(relativeAt, fixedAt);
+
+                if (pauseAt >= workEnd) {
+                    worked = d.block;
+                    cursor = workEnd;
+                    break;
+                }
+
+                worked += pauseAt - cursor;
+                const next = relativeAt <= fixedAt ? nextRelative : nextFixed;
+                const pauseEnd = next === nextFixed ? nextFixed.end : pauseAt + next.def.minutes * MINUTE;
+                next.used = true;
+
+                block.pauses.push({ start: clamp(pauseAt), end: clamp(pauseEnd) });
+                addCustomPhase(next.def, pauseAt, pauseEnd, number);
+                cursor = pauseEnd;
+            }
+
+            block.end = clamp(cursor);
+            blocks.push(block);
+
+            // Phases placed after the last hour of this block sit between blocks
+            schedule.customPhases
+                .filter(def => def.block === number && def.hour >= hoursPerBlock)
+                .forEach(def => {
+                    addCustomPhase(def, cursor, cursor + def.minutes * MINUTE, null);
+                    cursor += def.minutes * MINUTE;
+                });
+        }
+
+        // Fixed-time phases outside the blocks still show, from wake up until wind down
+        fixed.filter(f => !f.used).forEach(f => {
+            const start = Math.max(f.start, milestones.sleepEnd.getTime());
+            if (start < f.end) {
+                addCustomPhase(f.def, start, f.end, null);
+            }
+        });
+
+        customPhases.sort((a, b) => a.start - b.start);
+
+        return { blocks, customPhases, workEnd: clamp(cursor) };
+    }
+
+    // ==================== Phases ====================
+
+    /**
+     * Phase identifier for a block number
+     */
+    function blockPhase(blockNumber) {
+        return `${BLOCK_PHASE_PREFIX}${blockNumber}`;
+    }
+
+    /**
+     * Check whether a phase identifier is a work block
+     */
+    function isBlockPhase(phase) {
+        return phase.startsWith(BLOCK_PHASE_PREFIX);
+    }
+
+    /**
+     * Check whether a phase identifier is a custom phase
+     */
+    function isCustomPhase(phase) {
+        return phase.startsWith(CUSTOM_PHASE_PREFIX);
+    }
+
+    /**
+     * List the phases of a milestone set in chronological order
+     * Custom phases overlap the built-in phase they interrupt and are flagged with `custom`
+     * Phases with no duration (e.g. no free time) are left out
+     */
+    function getPhaseRanges(m) {
+        const ranges = [
+            { phase: PHASES.SLEEP, label: 'Sleep', start: m.sleepStart, end: m.sleepEnd },
+            { phase: PHASES.SET_UP, label: 'Set Up', start: m.setUpStart, end: m.setUpEnd },
+            ...m.blocks.map(block => ({
+                phase: blockPhase(block.number),
+                label: `Block ${block.number}`,
+                start: block.start,
+                end: block.end
+            })),
+            { phase: PHASES.FREE, label: 'Free Time', start: m.freeStart, end: m.freeEnd },
+            { phase: PHASES.WIND_DOWN, label: 'Wind Down', start: m.windDownStart, end: m.windDownEnd },
+            ...m.customPhases.map(custom => ({ ...custom, custom: true }))
+        ];
+
+        return ranges
+            .filter(range => range.end.getTime() > range.start.getTime())
+            .sort((a, b) => a.start.getTime() - b.start.getTime());
+    }
+
+    /**
+     * Find the phase range a time falls in, or null if it is outside the milestones' day
+     * A custom phase takes over from whatever it interrupts
+     */
+    function getRangeAt(m, now) {
+        const time = now.getTime();
+        const containing = getPhaseRanges(m).filter(r =>
+            time >= r.start.getTime() && time < r.end.getTime()
+        );
+
+        return containing.find(r => r.custom) || containing[0] || null;
+    }
+
+    /**
+     * Calculate B-H-P values for a given time within a block
+     * Time spent in custom phases inside the block is not counted
+     */
+    function calculateBHP(profile, now, block) {
+        const { partsPerHour, hoursPerBlock } = profile;
+        const d = getDurations(profile);
+        const time = now.getTime();
+
+        const paused = block.pauses.reduce((total, pause) => {
+            const pauseStart = pause.start.getTime();
+            const pauseEnd = Math.min(pause.end.getTime(), time);
+            return total + Math.max(0, pauseEnd - pauseStart);
+        }, 0);
+        const elapsed = time - block.start.getTime() - paused;
+
+        // Calculate Part (1-partsPerHour)
+        const totalParts = Math.floor(elapsed / d.part);
+        const part = (totalParts % partsPerHour) + 1;
+
+        // Calculate Hour (1-hoursPerBlock)
+        const totalHours = Math.floor(elapsed / d.workHour);
+        const hour = (totalHours % hoursPerBlock) + 1;
+
+        // Progress within current part (0-1)
+        const partProgress = (elapsed % d.part) / d.part;
+
+        // Completed parts in this hour
+        const completedParts = totalParts % partsPerHour;
+
+        // Completed hours in this block
+        const completedHours = totalHours % hoursPerBlock;
+
+        // Completed blocks
+        const completedBlocks = block.number - 1;
+
+        return {
+            block: block.number,
+            hour,
+            part,
+            partProgress,
+            completedParts,
+            completedHours,
+            completedBlocks
+        };
+    }
+
+    /**
+     * Wall-clock time (ms) of a work time offset into a block, skipping the pauses before it
+     */
+    function toBlockTime(block, offset) {
+        let time = block.start.getTime() + offset;
+        block.pauses.forEach(pause => {
+            if (pause.start.getTime() < time) {
+                time += pause.end.getTime() - pause.start.getTime();
+            }
+        });
+        return time;
+    }
+
+    /**
+     * All times in a milestone set where something changes: phase starts/ends and part boundaries
+     */
+    function getBoundaries(profile, m) {
+        const d = getDurations(profile);
+        const partsPerBlock = profile.partsPerHour * profile.hoursPerBlock;
+        const times = [];
+
+        getPhaseRanges(m).forEach(range => {
+            times.push(range.start.getTime(), range.end.getTime());
+        });
+
+        m.blocks.forEach(block => {
+            for (let k = 1; k < partsPerBlock; k++) {
+                const time = toBlockTime(block, k * d.part);
+                if (time < block.end.getTime()) {
+                    times.push(time);
+                }
+            }
+        });
+
+        return [...new Set(times)].sort((a, b) => a - b);
+    }
+
+    /**
+     * Every part of a block with its wall-clock times: [{ hour, part, start, end }]
+     * A part interrupted by a custom phase spans it; parts cut off by the block end are shortened or left out
+     */
+    function getBlockParts(profile, block) {
+        const d = getDurations(profile);
+        const partsPerBlock = profile.partsPerHour * profile.hoursPerBlock;
+        const blockEnd = block.end.getTime();
+        const parts = [];
+
+        for (let k = 0; k < partsPerBlock; k++) {
+            let start = k === 0 ? block.start.getTime() : toBlockTime(block, k * d.part);
+            // Parts following a custom phase start when it ends
+            const pause = block.pauses.find(p => p.start.getTime() === start);
+            if (pause) start = pause.end.getTime();
+            if (start >= blockEnd) break;
+
+            parts.push({
+                hour: Math.floor(k / profile.partsPerHour) + 1,
+                part: (k % profile.partsPerHour) + 1,
+                start: new Date(start),
+                end: new Date(Math.min(toBlockTime(block, (k + 1) * d.part), blockEnd))
+            });
+        }
+        return parts;
+    }
+
+    /**
+     * Everything the clock shows at a given time
+     * Returns { milestones, phase, label, range, block, bhp } - block and bhp are null outside work blocks
+     */
+    function getClockState(schedule, now) {
+        const milestones = calculateMilestones(schedule, now);
+        const range = getRangeAt(milestones, now);
+        const block = isBlockPhase(range.phase)
+            ? milestones.blocks.find(b => blockPhase(b.number) === range.phase)
+            : null;
+
+        return {
+            milestones,
+            phase: range.phase,
+            label: range.label,
+            range,
+            block,
+            bhp: block ? calculateBHP(schedule.profile, now, block) : null
+        };
+    }
+
+    /**
+     * Work time of a milestone set: its blocks without the custom phases pausing them
+     * Returns [{ start, end }] in ms, in order
+     */
+    function getWorkRanges(m) {
+        const ranges = [];
+        m.blocks.forEach(block => {
+            let start = block.start.getTime();
+            block.pauses.forEach(pause => {
+                ranges.push({ start, end: pause.start.getTime() });
+                start = pause.end.getTime();
+            });
+            ranges.push({ start, end: block.end.getTime() });
+        });
+        return ranges.filter(range => range.end > range.start);
+    }
+
+    /**
+     * Times between from and to when every schedule is in a work block (e.g. to plan meetings
+     * across a team), following each schedule into its next days as needed
+     * Returns [{ start, end }] as Dates, in order
+     */
+    function getSharedBlockTimes(schedules, from, to) {
+        let shared = [{ start: from.getTime(), end: to.getTime() }];
+
+        schedules.forEach(schedule => {
+            const work = [];
+            let m = calculateMilestones(schedule, from);
+            while (m.sleepStart.getTime() < to.getTime()) {
+                work.push(...getWorkRanges(m));
+                m = calculateMilestones(schedule, m.windDownEnd);
+            }
+
+            shared = shared.flatMap(range => work
+                .map(w => ({ start: Math.max(range.start, w.start), end: Math.min(range.end, w.end) }))
+                .filter(overlap => overlap.end > overlap.start)
+            );
+        });
+
+        // Back-to-back blocks read as one stretch
+        const merged = [];
+        shared.forEach(range => {
+            const last = merged[merged.length - 1];
+            if (last && last.end === range.start) {
+                last.end = range.end;
+            } else {
+                merged.push({ ...range });
+            }
+        });
+        return merged.map(range => ({ start: new Date(range.start), end: new Date(range.end) }));
+    }
+
+    return {
+        MINUTE,
+        HOUR,
+        DAY,
+        DEFAULT_PROFILE,
+        PROFILE_LIMITS,
+        PROFILE_FIELD_LABELS,
+        PHASES,
+        BLOCK_PHASE_PREFIX,
+        CUSTOM_PHASE_PREFIX,
+        ANCHORS,
+        NIGHT_CUTOFF_HOUR,
+        WEEKDAY_NAMES,
+        getDurations,
+        validateProfile,
+        parseTime,
+        isValidTime,
+        isValidTimeZone,
+        toWallTime,
+        fromWallTime,
+        addWallTime,
+        getOffsetChange,
+        toDateKey,
+        fromDateKey,
+        addDays,
+        getWeekday,
+        getScheduleForDate,
+        getAnchorTimeForDate,
+        getDayEnd,
+        getDayKeyForTime,
+        calculateMilestones,
+        blockPhase,
+        isBlockPhase,
+        isCustomPhase,
+        getPhaseRanges,
+        getRangeAt,
+        calculateBHP,
+        getBoundaries,
+        getBlockParts,
+        getClockState,
+        getSharedBlockTimes
+    };
+});
@@ -0,0 +1,262 @@
+/**
+ * ADHD Clock Mock Focus Endpoint
+ *
+ * A reference implementation of the focus endpoint protocol, for trying the
+ * integration locally and for the tests. State is kept in memory only.
+ *
+ *     node adhdclock/mock-server.js [port]     (default 8787)
+ *     MOCK_TOKEN=secret node adhdclock/mock-server.js
+ *
+ * Then use http://localhost:8787 as the endpoint in the clock settings.
+ * With MOCK_TOKEN set, requests need the token in any of the clock's auth schemes:
+ * "Authorization: Bearer <token>", basic auth with the token as password (any user name),
+ * or an "X-Api-Key: <token>" header.
+ *
+ * Protocol v2 (all paths under /v2, JSON bodies):
+ *
+ *   GET  /v2/state                     -> { version: 2, focused, session, revision }
+ *   POST /v2/sessions                  { id, task, startedAt, bhp, phase }
+ *                                      -> 201 { session }, or 409 { session } if another session is running
+ *   POST /v2/sessions/:id/heartbeat    { at, bhp, phase } -> { session }, 404 if the session is not running
+ *   POST /v2/sessions/:id/stop         { endedAt, bhp } -> { session }, 404 if the session is not running
+ *   GET  /v2/events                    Server-Sent Events: "state" events with the /v2/state body,
+ *                                      sent on connect and on every change, and "settings" events
+ *                                      ({ revision }) when the synced settings change
+ *   GET  /v2/settings                  -> { revision, settings, updatedAt } (settings null until first saved)
+ *   PUT  /v2/settings                  { settings, baseRevision, updatedAt } -> { revision, settings, updatedAt },
+ *                                      or 409 with the current ones if baseRevision is not the current revision
+ *
+ * Session IDs are chosen by the client, so retried requests stay idempotent.
+ * A session without a heartbeat for HEARTBEAT_TIMEOUT is stopped (reason "timeout").
+ *
+ * Protocol v1 (the original calls, still served):
+ *
+ *   POST /start { task }     POST /stop     GET /getState -> { focused, task }
+ */
+
+const http = require('node:http');
+
+const DEFAULT_PORT = 8787;
+const HEARTBEAT_TIMEOUT = 5 * 60 * 1000;
+// Comment lines keep idle event streams open through proxies
+const STREAM_KEEPALIVE = 25 * 1000;
+
+/**
+ * Create the mock endpoint (not yet listening)
+ * Options: { token, heartbeatTimeout }
+ */
+function createMockServer(options = {}) {
+    const token = options.token || '';
+    const heartbeatTimeout = options.heartbeatTimeout || HEARTBEAT_TIMEOUT;
+
+    let session = null;
+    let revision = 0;
+    // Settings shared by the clients, opaque to the server
+    let settings = { revision: 0, settings: null, updatedAt: null };
+    const streams = new Set();
+
+    const getState = () => ({
+        version: 2,
+        focused: Boolean(session),
+        session,
+        revision
+    });
+
+    const broadcast = (event = 'state', data = getState()) => {
+        const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+        streams.forEach(response => response.write(message));
+    };
+
+    const startSession = (fields) => {
+        session = {
+            id: fields.id || `mock-${Date.now().toString(36)}`,
+            task: fields.task || '',
+            startedAt: fields.startedAt || new Date().toISOString(),
+            lastHeartbeat: new Date().toISOString(),
+            bhp: fields.bhp || null,
+            phase: fields.phase || null
+        };
+        revision++;
+        broadcast();
+        return session;
+    };
+
+    const stopSession = (fields) => {
+        const stopped = {
+            ...session,
+            endedAt: fields.endedAt || new Date().toISOString(),
+            bhpEnd: fields.bhp || null,
+            reason: fields.reason || 'stopped'
+        };
+        session = null;
+        revision++;
+        broadcast();
+        return stopped;
+    };
+
+    // Sessions whose client went away without stopping them
+    const expiryTimer = setInterval(() => {
+        if (session && Date.now() - Date.parse(session.lastHeartbeat) > heartbeatTimeout) {
+            stopSession({ reason: 'timeout' });
+        }
+    }, Math.min(heartbeatTimeout, 60 * 1000));
+    expiryTimer.unref();
+
+    const keepaliveTimer = setInterval(() => {
+        streams.forEach(response => response.write(': keepalive\n\n'));
+    }, STREAM_KEEPALIVE);
+    keepaliveTimer.unref();
+
+    const server = http.createServer(async (request, response) => {
+        response.setHeader('Access-Control-Allow-Origin', '*');
+        response.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type, Accept, X-Api-Key');
+        response.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, OPTIONS');
+
+        if (request.method === 'OPTIONS') {
+            response.writeHead(204).end();
+            return;
+        }
+
+        if (token && !isAuthorized(request, token)) {
+            sendJson(response, 401, { error: 'unauthorized' });
+            return;
+        }
+
+        const { pathname } = new URL(request.url, 'http://localhost');
+        let body;
+        try {
+            body = request.method === 'POST' || request.method === 'PUT' ? await readJson(request) : {};
+        } catch (error) {
+            sendJson(response, 400, { error: 'invalid JSON' });
+            return;
+        }
+
+        const route = `${request.method} ${pathname}`;
+        const sessionMatch = pathname.match(/^\/v2\/sessions\/([^/]+)\/(heartbeat|stop)$/);
+
+        if (route === 'GET /v2/state') {
+            sendJson(response, 200, getState());
+        } else if (route === 'GET /v2/events') {
+            response.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                Connection: 'keep-alive'
+            });
+            response.write(`event: state\ndata: ${JSON.stringify(getState())}\n\n`);
+            streams.add(response);
+            request.on('close', () => streams.delete(response));
+        } else if (route === 'GET /v2/settings') {
+            sendJson(response, 200, settings);
+        } else if (route === 'PUT /v2/settings') {
+            if (body.baseRevision !== settings.revision) {
+                sendJson(response, 409, settings);
+            } else if (!body.settings || typeof body.settings !== 'object') {
+                sendJson(response, 400, { error: 'settings missing' });
+            } else {
+                settings = {
+                    revision: settings.revision + 1,
+                    settings: body.settings,
+                    updatedAt: body.updatedAt || new Date().toISOString()
+                };
+                sendJson(response, 200, settings);
+                broadcast('settings', { revision: settings.revision });
+            }
+        } else if (route === 'POST /v2/sessions') {
+            if (session && session.id !== body.id) {
+                sendJson(response, 409, { session });
+            } else {
+                // Repeating a start for the running session just returns it
+                sendJson(response, session ? 200 : 201, { session: session || startSession(body) });
+            }
+        } else if (request.method === 'POST' && sessionMatch) {
+            const id = decodeURIComponent(sessionMatch[1]);
+            if (!session || session.id !== id) {
+                sendJson(response, 404, { error: 'session not running' });
+            } else if (sessionMatch[2] === 'heartbeat') {
+                session.lastHeartbeat = new Date().toISOString();
+                session.bhp = body.bhp || null;
+                session.phase = body.phase || null;
+                sendJson(response, 200, { session });
+            } else {
+                sendJson(response, 200, { session: stopSession(body) });
+            }
+        } else if (route === 'GET /getState') {
+            sendJson(response, 200, { focused: Boolean(session), task: session ? session.task : '' });
+        } else if (route === 'POST /start') {
+            if (session) stopSession({});
+            startSession({ task: body.task });
+            sendJson(response, 200, { ok: true });
+        } else if (route === 'POST /stop') {
+            if (session) stopSession({});
+            sendJson(response, 200, { ok: true });
+        } else {
+            sendJson(response, 404, { error: 'not found' });
+        }
+    });
+
+    server.on('close', () => {
+        clearInterval(expiryTimer);
+        clearInterval(keepaliveTimer);
+    });
+
+    // Event streams never end on their own, so close them with the server
+    const close = server.close.bind(server);
+    server.close = (callback) => {
+        streams.forEach(response => response.end());
+        streams.clear();
+        return close(callback);
+    };
+
+    return server;
+}
+
+/**
+ * Check a request carries the token (bearer, basic auth password or X-Api-Key)
+ */
+function isAuthorized(request, token) {
+    const authorization = request.headers.authorization || '';
+    if (authorization === `Bearer ${token}` || request.headers['x-api-key'] === token) {
+        return true;
+    }
+    if (authorization.startsWith('Basic ')) {
+        const credentials = Buffer.from(authorization.slice(6), 'base64').toString('utf8');
+        return credentials.slice(credentials.indexOf(':') + 1) === token;
+    }
+    return false;
+}
+
+/**
+ * Read a JSON request body (empty bodies read as {})
+ */
+function readJson(request) {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        request.setEncoding('utf8');
+        request.on('data', chunk => { data += chunk; });
+        request.on('end', () => {
+            try {
+                resolve(data ? JSON.parse(data) : {});
+            } catch (error) {
+                reject(error);
+            }
+        });
+        request.on('error', reject);
+    });
+}
+
+/**
+ * Send a JSON response
+ */
+function sendJson(response, status, body) {
+    response.writeHead(status, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(body));
+}
+
+if (require.main === module) {
+    const port = Number(process.argv[2]) || DEFAULT_PORT;
+    createMockServer({ token: process.env.MOCK_TOKEN }).listen(port, () => {
+        console.log(`Mock focus endpoint on http://localhost:${port}`);
+    });
+}
+
+module.exports = { createMockServer };
@@ -0,0 +1,79 @@
+/**
+ * ADHD Clock Service Worker
+ *
+ * Caches the app shell so the clock opens and runs with no network.
+ * Shell files are served from the cache and refreshed in the background,
+ * so a new version shows up on the next launch.
+ *
+ * Bump CACHE_NAME whenever APP_SHELL changes.
+ */
+
+const CACHE_NAME = 'adhdclock-v4';
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'clock-core.js',
+    'token-vault.js',
+    'themes.js',
+    'app.js',
+    'styles.css',
+    'manifest.webmanifest',
+    'icon.svg',
+    'icon-192.png',
+    'icon-512.png'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    // Drop caches from previous versions
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+
+    // Focus endpoints and anything else off-origin go straight to the network
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) {
+        return;
+    }
+
+    // Always refresh the cached copy in the background
+    const refresh = fetch(request).then(async (response) => {
+        if (response.ok) {
+            const cache = await caches.open(CACHE_NAME);
+            await cache.put(request, response.clone());
+        }
+        return response;
+    });
+    event.waitUntil(refresh.then(() => {}, () => {}));
+
+    // Query strings (e.g. debug parameters) do not change the shell files
+    event.respondWith(
+        caches.match(request, { ignoreSearch: true }).then(cached => cached || refresh)
+    );
+});
+
+// Bring the clock to the front when a schedule notification is clicked
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(clients => {
+            const client = clients.find(c => 'focus' in c);
+            return client ? client.focus() : self.clients.openWindow('./');
+        })
+    );
+});
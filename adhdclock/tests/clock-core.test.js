@@ -0,0 +1,312 @@
+/**
+ * Clock core tests - run with: node --test adhdclock/tests/
+ *
+ * Times are local, in a zone with DST, so the day rollover and DST cases run the same everywhere.
+ */
+
+process.env.TZ = 'America/New_York';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const core = require('../clock-core.js');
+
+/**
+ * A schedule with the default profile, overridable per test
+ */
+function makeSchedule(overrides = {}) {
+    return {
+        anchor: core.ANCHORS.BEDTIME,
+        bedtime: '23:00',
+        wakeTime: '07:00',
+        profile: { ...core.DEFAULT_PROFILE },
+        weeklySchedule: {},
+        scheduleOverrides: {},
+        customPhases: [],
+        ...overrides
+    };
+}
+
+/**
+ * Local time from "YYYY-MM-DD HH:MM"
+ */
+function at(text) {
+    return new Date(text.replace(' ', 'T'));
+}
+
+/**
+ * Local "HH:MM" of a date
+ */
+function hhmm(date) {
+    return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+}
+
+function bhpText(bhp) {
+    return `${bhp.block}-${bhp.hour}-${bhp.part}`;
+}
+
+test('default day layout', () => {
+    const m = core.calculateMilestones(makeSchedule(), at('2026-05-12 12:00'));
+
+    assert.equal(m.date, '2026-05-12');
+    assert.equal(hhmm(m.sleepStart), '23:00');
+    assert.equal(m.sleepStart.getDate(), 11);
+    assert.equal(hhmm(m.setUpStart), '07:00');
+    assert.deepEqual(m.blocks.map(b => `${hhmm(b.start)}-${hhmm(b.end)}`), ['07:30-12:30', '12:30-17:30', '17:30-22:30']);
+    assert.equal(hhmm(m.windDownStart), '22:30');
+    assert.equal(hhmm(m.windDownEnd), '23:00');
+    assert.equal(m.freeStart.getTime(), m.freeEnd.getTime());
+});
+
+test('B-H-P at part and hour boundaries', () => {
+    const schedule = makeSchedule();
+    const cases = {
+        '2026-05-12 07:30': '1-1-1',
+        '2026-05-12 07:41': '1-1-1',
+        '2026-05-12 07:42': '1-1-2',
+        '2026-05-12 08:30': '1-2-1',
+        '2026-05-12 12:29': '1-5-5',
+        '2026-05-12 12:30': '2-1-1',
+        '2026-05-12 22:29': '3-5-5'
+    };
+
+    for (const [time, expected] of Object.entries(cases)) {
+        assert.equal(bhpText(core.getClockState(schedule, at(time)).bhp), expected, time);
+    }
+});
+
+test('phases outside the blocks have no B-H-P', () => {
+    const schedule = makeSchedule();
+    const cases = {
+        '2026-05-12 03:00': core.PHASES.SLEEP,
+        '2026-05-12 07:10': core.PHASES.SET_UP,
+        '2026-05-12 22:45': core.PHASES.WIND_DOWN
+    };
+
+    for (const [time, phase] of Object.entries(cases)) {
+        const clock = core.getClockState(schedule, at(time));
+        assert.equal(clock.phase, phase, time);
+        assert.equal(clock.bhp, null, time);
+    }
+});
+
+test('the day rolls over at bedtime, not midnight', () => {
+    const schedule = makeSchedule();
+
+    assert.equal(core.getClockState(schedule, at('2026-05-12 22:59')).milestones.date, '2026-05-12');
+    assert.equal(core.getClockState(schedule, at('2026-05-12 23:00')).milestones.date, '2026-05-13');
+    assert.equal(core.getClockState(schedule, at('2026-05-13 00:30')).milestones.date, '2026-05-13');
+});
+
+test('bedtimes after midnight belong to the evening before', () => {
+    const schedule = makeSchedule({ bedtime: '00:30' });
+
+    const beforeBed = core.getClockState(schedule, at('2026-05-13 00:15'));
+    assert.equal(beforeBed.phase, core.PHASES.WIND_DOWN);
+    assert.equal(beforeBed.milestones.date, '2026-05-12');
+
+    const asleep = core.getClockState(schedule, at('2026-05-13 00:30'));
+    assert.equal(asleep.phase, core.PHASES.SLEEP);
+    assert.equal(asleep.milestones.date, '2026-05-13');
+});
+
+test('consecutive days join at bedtime', () => {
+    const schedule = makeSchedule({ weeklySchedule: { 2: { bedtime: '22:00' } } });
+
+    // Tuesday 2026-05-12 has an earlier bedtime than the days around it
+    let key = '2026-05-10';
+    for (let i = 0; i < 5; i++) {
+        const m = core.calculateMilestones(schedule, core.fromDateKey(key));
+        const next = core.calculateMilestones(schedule, m.windDownEnd);
+        assert.equal(next.date, core.addDays(m.date, 1));
+        assert.equal(next.sleepStart.getTime(), m.windDownEnd.getTime());
+        key = core.addDays(key, 1);
+    }
+});
+
+test('overrides win over weekdays, weekdays over the default', () => {
+    const schedule = makeSchedule({
+        weeklySchedule: { 2: { bedtime: '22:00' } },
+        scheduleOverrides: { '2026-05-12': { bedtime: '21:00', label: 'Early flight' } }
+    });
+
+    assert.deepEqual(core.getScheduleForDate(schedule, '2026-05-12'),
+        { anchor: 'bedtime', time: '21:00', source: 'override', label: 'Early flight' });
+    assert.equal(core.getScheduleForDate(schedule, '2026-05-19').source, 'weekday');
+    assert.equal(core.getScheduleForDate(schedule, '2026-05-13').source, 'default');
+});
+
+test('short days clamp the blocks at wind down', () => {
+    const schedule = makeSchedule({ scheduleOverrides: { '2026-05-12': { bedtime: '20:00' } } });
+    const m = core.calculateMilestones(schedule, at('2026-05-12 12:00'));
+
+    assert.equal(hhmm(m.windDownStart), '19:30');
+    assert.equal(hhmm(m.blocks[2].end), '19:30');
+    assert.ok(m.blocks.every(b => b.end <= m.windDownStart));
+});
+
+test('wake anchoring lays the day out from the wake time', () => {
+    const schedule = makeSchedule({ anchor: core.ANCHORS.WAKE, wakeTime: '06:00' });
+    const m = core.calculateMilestones(schedule, at('2026-05-12 12:00'));
+
+    assert.equal(hhmm(m.sleepEnd), '06:00');
+    assert.equal(hhmm(m.blocks[0].start), '06:30');
+    assert.equal(hhmm(m.windDownEnd), '22:00');
+});
+
+test('custom phases pause B-H-P', () => {
+    const schedule = makeSchedule({
+        customPhases: [{ id: 'lunch', name: 'Lunch', style: 'break', minutes: 30, block: 1, hour: 2 }]
+    });
+
+    const lunch = core.getClockState(schedule, at('2026-05-12 09:40'));
+    assert.equal(lunch.phase, `${core.CUSTOM_PHASE_PREFIX}lunch`);
+    assert.equal(lunch.label, 'Lunch');
+
+    assert.equal(bhpText(core.getClockState(schedule, at('2026-05-12 10:00')).bhp), '1-3-1');
+    assert.equal(hhmm(lunch.milestones.blocks[0].end), '13:00');
+});
+
+test('block parts run through custom phases', () => {
+    const schedule = makeSchedule({
+        customPhases: [{ id: 'lunch', name: 'Lunch', style: 'break', minutes: 30, block: 1, hour: 2 }]
+    });
+    const { milestones } = core.getClockState(schedule, at('2026-05-12 09:00'));
+    const parts = core.getBlockParts(schedule.profile, milestones.blocks[0]);
+
+    assert.equal(parts.length, 25);
+    assert.deepEqual([parts[0].hour, parts[0].part, hhmm(parts[0].start), hhmm(parts[0].end)], [1, 1, '07:30', '07:42']);
+    // Lunch follows the second hour, so the third hour starts after it
+    assert.equal(hhmm(parts[9].end), '09:30');
+    assert.deepEqual([parts[10].hour, parts[10].part, hhmm(parts[10].start), hhmm(parts[10].end)], [3, 1, '10:00', '10:12']);
+    assert.equal(hhmm(parts[24].end), hhmm(milestones.blocks[0].end));
+});
+
+test('boundaries cover every part change', () => {
+    const schedule = makeSchedule();
+    const m = core.calculateMilestones(schedule, at('2026-05-12 12:00'));
+    const boundaries = core.getBoundaries(schedule.profile, m);
+
+    // 24 part changes inside each of 3 blocks, plus the phase starts/ends
+    assert.equal(boundaries.filter(t => t > m.blocks[0].start.getTime() && t < m.blocks[0].end.getTime()).length, 24);
+    assert.ok(boundaries.includes(m.windDownEnd.getTime()));
+    assert.deepEqual(boundaries, [...boundaries].sort((a, b) => a - b));
+});
+
+test('profiles longer than a day are rejected', () => {
+    assert.equal(core.validateProfile(core.DEFAULT_PROFILE), null);
+    assert.match(core.validateProfile({ ...core.DEFAULT_PROFILE, blockCount: 4 }), /longer than 24 hours/);
+    assert.match(core.validateProfile({ ...core.DEFAULT_PROFILE, partMinutes: 0 }), /Part length/);
+});
+
+test('spring forward keeps the day on the wall clock', () => {
+    const m = core.calculateMilestones(makeSchedule(), at('2026-03-08 12:00'));
+
+    // The night is an hour shorter, the day itself is untouched
+    assert.equal(hhmm(m.sleepEnd), '07:00');
+    assert.equal(m.sleepEnd - m.sleepStart, 7 * core.HOUR);
+    assert.deepEqual(m.blocks.map(b => hhmm(b.start)), ['07:30', '12:30', '17:30']);
+    assert.equal(hhmm(m.windDownEnd), '23:00');
+    assert.deepEqual(m.offsetChange, { time: at('2026-03-08 03:00'), minutes: 60, from: '02:00', to: '03:00' });
+});
+
+test('fall back keeps the day on the wall clock', () => {
+    const m = core.calculateMilestones(makeSchedule(), at('2026-11-01 12:00'));
+
+    assert.equal(hhmm(m.sleepEnd), '07:00');
+    assert.equal(m.sleepEnd - m.sleepStart, 9 * core.HOUR);
+    assert.equal(hhmm(m.blocks[0].start), '07:30');
+    assert.equal(m.offsetChange.minutes, -60);
+    assert.equal(m.offsetChange.from, '02:00');
+    assert.equal(m.offsetChange.to, '01:00');
+
+    const next = core.calculateMilestones(makeSchedule(), at('2026-11-02 12:00'));
+    assert.equal(next.offsetChange, null);
+});
+
+test('wake anchoring measures sleep on the wall clock across DST', () => {
+    const schedule = makeSchedule({ anchor: core.ANCHORS.WAKE, wakeTime: '06:00' });
+    const m = core.calculateMilestones(schedule, at('2026-03-07 12:00'));
+
+    // Bedtime before the spring forward night is still 22:00
+    assert.equal(hhmm(m.windDownEnd), '22:00');
+    const next = core.calculateMilestones(schedule, m.windDownEnd);
+    assert.equal(hhmm(next.sleepEnd), '06:00');
+});
+
+test('wall-clock times skipped or repeated by DST', () => {
+    const skipped = core.fromWallTime(Date.UTC(2026, 2, 8, 2, 30), '');
+    assert.equal(hhmm(skipped), '03:30');
+
+    const repeated = core.fromWallTime(Date.UTC(2026, 10, 1, 1, 30), '');
+    assert.equal(repeated.toISOString(), '2026-11-01T05:30:00.000Z');
+});
+
+test('an explicit time zone overrides the device zone', () => {
+    const schedule = makeSchedule({ timeZone: 'Europe/Berlin' });
+    const m = core.calculateMilestones(schedule, new Date('2026-05-12T10:00:00Z'));
+
+    assert.equal(m.date, '2026-05-12');
+    // 23:00 in Berlin (UTC+2 in May)
+    assert.equal(m.windDownEnd.toISOString(), '2026-05-12T21:00:00.000Z');
+    assert.equal(m.blocks[0].start.toISOString(), '2026-05-12T05:30:00.000Z');
+    assert.equal(core.toDateKey(new Date('2026-05-12T23:30:00Z'), 'Europe/Berlin'), '2026-05-13');
+
+    // Europe changes clocks on a different Sunday than the US
+    const spring = core.calculateMilestones(schedule, new Date('2026-03-29T10:00:00Z'));
+    assert.equal(spring.offsetChange.time.toISOString(), '2026-03-29T01:00:00.000Z');
+    assert.equal(core.calculateMilestones(schedule, new Date('2026-03-08T15:00:00Z')).offsetChange, null);
+});
+
+test('times of day are validated', () => {
+    assert.ok(core.isValidTime('07:30'));
+    assert.ok(core.isValidTime('23:59'));
+    ['', '7:30', '24:00', '12:60', 'noon', undefined].forEach(time => {
+        assert.ok(!core.isValidTime(time), String(time));
+    });
+});
+
+test('time zone names are validated', () => {
+    assert.ok(core.isValidTimeZone('Asia/Tokyo'));
+    assert.ok(!core.isValidTimeZone('Mars/Olympus_Mons'));
+});
+
+for (const [name, day] of [['spring forward', '2026-03-08'], ['fall back', '2026-11-01']]) {
+    test(`every minute around ${name} has exactly one phase`, () => {
+        const schedule = makeSchedule({ bedtime: '01:30' });
+        const start = core.fromDateKey(core.addDays(day, -1)).getTime();
+        const end = core.fromDateKey(core.addDays(day, 2)).getTime();
+
+        for (let time = start; time < end; time += core.MINUTE) {
+            const clock = core.getClockState(schedule, new Date(time));
+            const m = clock.milestones;
+            assert.ok(time >= m.sleepStart.getTime() && time < m.windDownEnd.getTime(), new Date(time).toString());
+            assert.ok(clock.range.start.getTime() <= time && time < clock.range.end.getTime());
+        }
+    });
+}
+
+/**
+ * "HH:MM-HH:MM" for each of a list of time ranges
+ */
+function rangesText(ranges) {
+    return ranges.map(range => `${hhmm(range.start)}-${hhmm(range.end)}`);
+}
+
+test('shared block times are when every schedule is in a block', () => {
+    const early = makeSchedule({ bedtime: '21:00' });
+    const late = makeSchedule();
+
+    const shared = core.getSharedBlockTimes([early, late], at('2026-03-02 00:00'), at('2026-03-03 00:00'));
+    assert.deepEqual(rangesText(shared), ['07:30-20:30']);
+    assert.equal(core.getSharedBlockTimes([], at('2026-03-02 00:00'), at('2026-03-02 01:00')).length, 1);
+});
+
+test('shared block times skip custom phases and run into the next day', () => {
+    const schedule = makeSchedule({
+        customPhases: [{ id: 'lunch', name: 'Lunch', style: 'break', minutes: 30, block: 1, hour: 2 }]
+    });
+
+    const shared = core.getSharedBlockTimes([schedule], at('2026-03-02 08:00'), at('2026-03-03 09:00'));
+    assert.deepEqual(rangesText(shared), ['08:00-09:30', '10:00-22:30', '07:30-09:00']);
+});
@@ -0,0 +1,142 @@
+/**
+ * Mock focus endpoint tests - run with: node --test adhdclock/tests/
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createMockServer } = require('../mock-server.js');
+
+let server;
+let baseUrl;
+
+before(async () => {
+    server = createMockServer({ heartbeatTimeout: 200 });
+    await new Promise(resolve => server.listen(0, resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+});
+
+function post(path, body) {
+    return fetch(`${baseUrl}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body || {})
+    });
+}
+
+async function getState() {
+    return (await fetch(`${baseUrl}/v2/state`)).json();
+}
+
+test('v2 session lifecycle', async () => {
+    assert.deepEqual(await getState(), { version: 2, focused: false, session: null, revision: 0 });
+
+    const started = await post('/v2/sessions', { id: 'a', task: 'Write tests', bhp: '1-1-1', phase: 'block1' });
+    assert.equal(started.status, 201);
+    assert.equal((await started.json()).session.task, 'Write tests');
+
+    // Retrying the same start is harmless, another session conflicts
+    assert.equal((await post('/v2/sessions', { id: 'a', task: 'Write tests' })).status, 200);
+    const conflict = await post('/v2/sessions', { id: 'b', task: 'Other' });
+    assert.equal(conflict.status, 409);
+    assert.equal((await conflict.json()).session.id, 'a');
+
+    const heartbeat = await post('/v2/sessions/a/heartbeat', { bhp: '1-1-3', phase: 'block1' });
+    assert.equal((await heartbeat.json()).session.bhp, '1-1-3');
+
+    const stopped = await (await post('/v2/sessions/a/stop', { bhp: '1-2-1' })).json();
+    assert.equal(stopped.session.bhpEnd, '1-2-1');
+    assert.equal(stopped.session.reason, 'stopped');
+
+    assert.equal((await post('/v2/sessions/a/heartbeat', {})).status, 404);
+    assert.equal((await getState()).focused, false);
+});
+
+test('event stream pushes state changes', async () => {
+    const controller = new AbortController();
+    const response = await fetch(`${baseUrl}/v2/events`, { signal: controller.signal });
+    assert.equal(response.headers.get('content-type'), 'text/event-stream');
+
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    const events = [];
+    const readEvents = async (count) => {
+        let buffer = '';
+        while (events.length < count) {
+            buffer += (await reader.read()).value;
+            const messages = buffer.split('\n\n');
+            buffer = messages.pop();
+            messages.filter(m => m.startsWith('event: state')).forEach(m => {
+                events.push(JSON.parse(m.split('\ndata: ')[1]));
+            });
+        }
+    };
+
+    await readEvents(1);
+    assert.equal(events[0].focused, false);
+
+    await post('/v2/sessions', { id: 'c', task: 'Stream' });
+    await readEvents(2);
+    assert.equal(events[1].session.id, 'c');
+
+    await post('/v2/sessions/c/stop', {});
+    await readEvents(3);
+    assert.equal(events[2].focused, false);
+
+    controller.abort();
+});
+
+test('settings are shared by revision', async () => {
+    const put = (body) => fetch(`${baseUrl}/v2/settings`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+
+    assert.deepEqual(await (await fetch(`${baseUrl}/v2/settings`)).json(), { revision: 0, settings: null, updatedAt: null });
+
+    const saved = await put({ settings: { adhd_bedtime: '22:30' }, baseRevision: 0, updatedAt: '2026-10-19T10:00:00.000Z' });
+    assert.equal(saved.status, 200);
+    assert.deepEqual(await saved.json(), {
+        revision: 1,
+        settings: { adhd_bedtime: '22:30' },
+        updatedAt: '2026-10-19T10:00:00.000Z'
+    });
+
+    // A client that missed the change gets the current settings back
+    const stale = await put({ settings: { adhd_bedtime: '23:00' }, baseRevision: 0 });
+    assert.equal(stale.status, 409);
+    assert.equal((await stale.json()).settings.adhd_bedtime, '22:30');
+});
+
+test('sessions without heartbeats time out', async () => {
+    await post('/v2/sessions', { id: 'd', task: 'Forgotten' });
+    await new Promise(resolve => setTimeout(resolve, 500));
+    assert.equal((await getState()).focused, false);
+});
+
+test('v1 calls still work', async () => {
+    await post('/start', { task: 'Legacy' });
+    assert.deepEqual(await (await fetch(`${baseUrl}/getState`)).json(), { focused: true, task: 'Legacy' });
+
+    await post('/stop');
+    assert.deepEqual(await (await fetch(`${baseUrl}/getState`)).json(), { focused: false, task: '' });
+});
+
+test('a token is required when configured', async () => {
+    const secured = createMockServer({ token: 'secret' });
+    await new Promise(resolve => secured.listen(0, resolve));
+    const url = `http://localhost:${secured.address().port}/v2/state`;
+
+    assert.equal((await fetch(url)).status, 401);
+    assert.equal((await fetch(url, { headers: { Authorization: 'Bearer wrong' } })).status, 401);
+    assert.equal((await fetch(url, { headers: { Authorization: 'Bearer secret' } })).status, 200);
+    const basic = Buffer.from('me:secret').toString('base64');
+    assert.equal((await fetch(url, { headers: { Authorization: `Basic ${basic}` } })).status, 200);
+    assert.equal((await fetch(url, { headers: { 'X-Api-Key': 'secret' } })).status, 200);
+
+    await new Promise(resolve => secured.close(resolve));
+});
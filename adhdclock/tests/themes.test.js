@@ -0,0 +1,55 @@
+/**
+ * Theme tests - run with: node --test adhdclock/tests/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Themes = require('../themes.js');
+
+test('built-in themes are valid and keep their original palette', () => {
+    Object.values(Themes.BUILT_IN_THEMES).forEach(theme => {
+        assert.equal(Themes.validateTheme(theme), null, theme.name);
+    });
+
+    const variables = Themes.toCssVariables(Themes.BUILT_IN_THEMES.blue.colors);
+    assert.equal(variables['--bg-color'], '#1a2a3a');
+    assert.equal(variables['--ring-empty'], 'rgba(126, 181, 214, 0.2)');
+    assert.equal(variables['--ring-color-dark'], '#5a9bc4');
+    assert.equal(variables['--glow-color'], '126, 181, 214');
+});
+
+test('optional colors are derived from the ring color', () => {
+    const colors = { ...Themes.BUILT_IN_THEMES.blue.colors };
+    delete colors.ringDark;
+
+    assert.equal(Themes.toCssVariables(colors)['--ring-color-dark'], '#6591ab');
+    // The editor shows the translucent default as the solid color it looks like
+    assert.equal(Themes.getEditableColors(colors).ringEmpty, '#2e4659');
+});
+
+test('themes with missing or malformed colors are rejected', () => {
+    const colors = Themes.BUILT_IN_THEMES.green.colors;
+
+    assert.match(Themes.validateTheme({ name: ' ', colors }), /name/);
+    assert.match(Themes.validateTheme({ name: 'x'.repeat(41), colors }), /at most/);
+    assert.match(Themes.validateTheme({ name: 'No ring', colors: { ...colors, ring: undefined } }), /Filled rings/);
+    assert.match(Themes.validateTheme({ name: 'Named', colors: { ...colors, bg: 'red' } }), /Background/);
+    assert.equal(Themes.validateTheme(null), 'Not a theme');
+});
+
+test('share codes round-trip, unicode names included', () => {
+    const theme = { name: 'Café ☕', colors: { ...Themes.BUILT_IN_THEMES.peach.colors, ringEmpty: '#443333' } };
+    const code = Themes.encodeTheme(theme);
+
+    assert.ok(code.startsWith('adhdclock-theme:'));
+    assert.deepEqual(Themes.decodeTheme(`  ${code}\n`), theme);
+});
+
+test('broken share codes explain what is wrong', () => {
+    assert.throws(() => Themes.decodeTheme('hello'), /Not a theme code/);
+    assert.throws(() => Themes.decodeTheme('adhdclock-theme:%%%'), /damaged/);
+
+    const invalid = Themes.encodeTheme({ name: 'Bad', colors: { bg: '#000000' } });
+    assert.throws(() => Themes.decodeTheme(invalid), /must be a #rrggbb color/);
+});
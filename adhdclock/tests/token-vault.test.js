@@ -0,0 +1,43 @@
+/**
+ * Token vault tests - run with: node --test adhdclock/tests/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const TokenVault = require('../token-vault.js');
+
+test('secrets round-trip through the vault key', async () => {
+    const { vault, key } = await TokenVault.createVault('correct horse');
+    const secret = await TokenVault.encrypt(key, 'token-123');
+
+    assert.notEqual(secret.data, 'token-123');
+    assert.equal(await TokenVault.decrypt(key, secret), 'token-123');
+
+    // The stored vault is enough to get the key back, given the passphrase
+    const unlocked = await TokenVault.unlockVault(JSON.parse(JSON.stringify(vault)), 'correct horse');
+    assert.equal(await TokenVault.decrypt(unlocked, secret), 'token-123');
+});
+
+test('a wrong passphrase does not unlock the vault', async () => {
+    const { vault } = await TokenVault.createVault('correct horse');
+    assert.equal(await TokenVault.unlockVault(vault, 'battery staple'), null);
+});
+
+test('every encryption uses a fresh IV', async () => {
+    const { key } = await TokenVault.createVault('correct horse');
+    const first = await TokenVault.encrypt(key, 'same');
+    const second = await TokenVault.encrypt(key, 'same');
+
+    assert.notEqual(first.iv, second.iv);
+    assert.notEqual(first.data, second.data);
+});
+
+test('tampered secrets are rejected', async () => {
+    const { key } = await TokenVault.createVault('correct horse');
+    const secret = await TokenVault.encrypt(key, 'token-123');
+    const bytes = Buffer.from(secret.data, 'base64');
+    bytes[0] ^= 1;
+
+    await assert.rejects(TokenVault.decrypt(key, { ...secret, data: bytes.toString('base64') }));
+});
@@ -0,0 +1,199 @@
+/**
+ * ADHD Clock Themes
+ *
+ * Color themes as data: the built-in palettes, and helpers to check, apply and share
+ * custom ones. A theme is { name, colors }, colors being #rrggbb values for:
+ *
+ *   bg          page background            panel      panels, popups, focused center
+ *   text        main text                  textMuted  secondary text
+ *   ring        filled ring segments       ringEmpty  unfilled ring segments (optional)
+ *   ringDark    hover shade of ring (optional)
+ *
+ * Missing optional colors are derived from ring (and bg).
+ * Themes are shared as text codes: SHARE_PREFIX followed by the theme as base64 JSON.
+ *
+ * Loaded as a plain script it defines the global Themes;
+ * under Node it is a CommonJS module (used by the tests).
+ */
+
+(function (root, factory) {
+    const themes = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = themes;
+    } else {
+        root.Themes = themes;
+    }
+})(typeof self !== 'undefined' ? self : globalThis, function () {
+    'use strict';
+
+    // Editable colors, in editor order, with the CSS variable each one sets
+    const COLOR_FIELDS = {
+        bg: { label: 'Background', variable: '--bg-color' },
+        panel: { label: 'Panels', variable: '--bg-secondary' },
+        text: { label: 'Text', variable: '--text-primary' },
+        textMuted: { label: 'Secondary text', variable: '--text-secondary' },
+        ring: { label: 'Filled rings', variable: '--ring-color' },
+        ringEmpty: { label: 'Unfilled rings', variable: '--ring-empty' }
+    };
+
+    // Unfilled rings are the ring color at this opacity unless a theme says otherwise
+    const EMPTY_RING_OPACITY = 0.2;
+    // How much darker the hover shade is than the ring color, when derived
+    const DARK_RING_FACTOR = 0.8;
+    const MAX_NAME_LENGTH = 40;
+    const SHARE_PREFIX = 'adhdclock-theme:';
+
+    const BUILT_IN_THEMES = {
+        blue: {
+            name: 'Serene Blue',
+            colors: { bg: '#1a2a3a', panel: '#243447', text: '#e8f1f8', textMuted: '#a8c5d8', ring: '#7eb5d6', ringDark: '#5a9bc4' }
+        },
+        yellow: {
+            name: 'Cheerful Yellow',
+            colors: { bg: '#2a2820', panel: '#3d392a', text: '#faf6e8', textMuted: '#d4c9a8', ring: '#e8d47a', ringDark: '#c4b35c' }
+        },
+        green: {
+            name: 'Natural Green',
+            colors: { bg: '#1e2a24', panel: '#2a3d32', text: '#e8f2ec', textMuted: '#a8c9b8', ring: '#7dc4a0', ringDark: '#5ba882' }
+        },
+        peach: {
+            name: 'Cozy Peach',
+            colors: { bg: '#2a2424', panel: '#3d3232', text: '#faf0ec', textMuted: '#d4b8ac', ring: '#e8a890', ringDark: '#c4886c' }
+        },
+        violet: {
+            name: 'Reflective Violet',
+            colors: { bg: '#242028', panel: '#342e3d', text: '#f0ecf4', textMuted: '#c0b4cc', ring: '#b8a0d4', ringDark: '#9878b8' }
+        },
+        // Low light for wind down and sleep
+        night: {
+            name: 'Night Dim',
+            colors: { bg: '#0b0b0f', panel: '#15151c', text: '#8a8494', textMuted: '#5f5a68', ring: '#6b4f4f', ringDark: '#553e3e' }
+        },
+        // For a light system color scheme
+        daylight: {
+            name: 'Daylight',
+            colors: { bg: '#f4f6f8', panel: '#ffffff', text: '#1f2a36', textMuted: '#5a6b7c', ring: '#3f83b8', ringEmpty: '#d5e2ec', ringDark: '#2f6a98' }
+        }
+    };
+
+    // ==================== Colors ====================
+
+    function isHexColor(value) {
+        return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+    }
+
+    function toRgb(hex) {
+        return [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+    }
+
+    function toHex(rgb) {
+        return `#${rgb.map(value => Math.round(value).toString(16).padStart(2, '0')).join('')}`;
+    }
+
+    /**
+     * Mix a color over a background at an opacity, as a solid color
+     */
+    function blend(hex, backgroundHex, opacity) {
+        const color = toRgb(hex);
+        const background = toRgb(backgroundHex);
+        return toHex(color.map((value, i) => value * opacity + background[i] * (1 - opacity)));
+    }
+
+    /**
+     * A theme's colors as solid #rrggbb values for every color field (what the editor shows)
+     */
+    function getEditableColors(colors) {
+        return {
+            ...colors,
+            ringEmpty: colors.ringEmpty || blend(colors.ring, colors.bg, EMPTY_RING_OPACITY)
+        };
+    }
+
+    /**
+     * CSS custom properties for a theme's colors, derived ones included
+     */
+    function toCssVariables(colors) {
+        const rgb = toRgb(colors.ring);
+        const variables = {};
+        Object.entries(COLOR_FIELDS).forEach(([field, { variable }]) => {
+            variables[variable] = colors[field];
+        });
+
+        variables['--ring-empty'] = colors.ringEmpty || `rgba(${rgb.join(', ')}, ${EMPTY_RING_OPACITY})`;
+        variables['--ring-color-dark'] = colors.ringDark || toHex(rgb.map(value => value * DARK_RING_FACTOR));
+        variables['--glow-color'] = rgb.join(', ');
+        return variables;
+    }
+
+    // ==================== Custom Themes ====================
+
+    /**
+     * Check a theme, returning an error message or null when it is fine
+     */
+    function validateTheme(theme) {
+        if (!theme || typeof theme !== 'object' || !theme.colors || typeof theme.colors !== 'object') {
+            return 'Not a theme';
+        }
+
+        const name = typeof theme.name === 'string' ? theme.name.trim() : '';
+        if (!name) return 'Give the theme a name';
+        if (name.length > MAX_NAME_LENGTH) return `Theme names are at most ${MAX_NAME_LENGTH} characters`;
+
+        for (const field of [...Object.keys(COLOR_FIELDS), 'ringDark']) {
+            const value = theme.colors[field];
+            const optional = field === 'ringEmpty' || field === 'ringDark';
+            if ((value !== undefined || !optional) && !isHexColor(value)) {
+                return `${COLOR_FIELDS[field] ? COLOR_FIELDS[field].label : 'Ring shade'} must be a #rrggbb color`;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Share code for a theme
+     */
+    function encodeTheme(theme) {
+        const json = JSON.stringify({ name: theme.name, colors: theme.colors });
+        let binary = '';
+        new TextEncoder().encode(json).forEach(byte => { binary += String.fromCharCode(byte); });
+        return `${SHARE_PREFIX}${btoa(binary)}`;
+    }
+
+    /**
+     * Theme from a share code, throwing an Error that says what is wrong with it
+     */
+    function decodeTheme(code) {
+        const text = String(code).trim();
+        if (!text.startsWith(SHARE_PREFIX)) {
+            throw new Error('Not a theme code');
+        }
+
+        let theme;
+        try {
+            const bytes = Uint8Array.from(atob(text.slice(SHARE_PREFIX.length)), char => char.charCodeAt(0));
+            theme = JSON.parse(new TextDecoder().decode(bytes));
+        } catch (error) {
+            throw new Error('The theme code is damaged');
+        }
+
+        const error = validateTheme(theme);
+        if (error) throw new Error(error);
+
+        // Only known color fields are kept
+        const colors = {};
+        [...Object.keys(COLOR_FIELDS), 'ringDark'].forEach(field => {
+            if (theme.colors[field] !== undefined) colors[field] = theme.colors[field].toLowerCase();
+        });
+        return { name: theme.name.trim(), colors };
+    }
+
+    return {
+        COLOR_FIELDS,
+        BUILT_IN_THEMES,
+        getEditableColors,
+        toCssVariables,
+        validateTheme,
+        encodeTheme,
+        decodeTheme
+    };
+});
@@ -0,0 +1,116 @@
+/**
+ * ADHD Clock Token Vault
+ *
+ * Encrypts access tokens at rest behind a passphrase, using WebCrypto:
+ * an AES-GCM key is derived from the passphrase with PBKDF2, and only ever kept in memory.
+ *
+ * The stored vault holds no secrets itself: { salt, iterations, check },
+ * where check is a known text encrypted with the key, so a wrong passphrase is noticed
+ * before anything is decrypted with it. Each secret is stored as { iv, data } (base64).
+ *
+ * Loaded as a plain script it defines the global TokenVault;
+ * under Node it is a CommonJS module (used by the tests).
+ */
+
+(function (root, factory) {
+    const vault = factory(root.crypto);
+    if (typeof module === 'object' && module.exports) {
+        module.exports = vault;
+    } else {
+        root.TokenVault = vault;
+    }
+})(typeof self !== 'undefined' ? self : globalThis, function (crypto) {
+    'use strict';
+
+    const ITERATIONS = 310000;
+    const SALT_BYTES = 16;
+    const IV_BYTES = 12;
+    const CHECK_TEXT = 'adhdclock-vault';
+
+    // ==================== Encoding ====================
+
+    function toBase64(bytes) {
+        let binary = '';
+        new Uint8Array(bytes).forEach(byte => { binary += String.fromCharCode(byte); });
+        return btoa(binary);
+    }
+
+    function fromBase64(text) {
+        return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+    }
+
+    // ==================== Keys ====================
+
+    /**
+     * Derive the AES-GCM key for a passphrase
+     */
+    async function deriveKey(passphrase, salt, iterations) {
+        const material = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+        );
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    /**
+     * Set up a new vault for a passphrase
+     * Resolves to { vault, key }: the vault to store, the key to keep in memory
+     */
+    async function createVault(passphrase) {
+        const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+        const key = await deriveKey(passphrase, salt, ITERATIONS);
+        const vault = {
+            salt: toBase64(salt),
+            iterations: ITERATIONS,
+            check: await encrypt(key, CHECK_TEXT)
+        };
+        return { vault, key };
+    }
+
+    /**
+     * Get the key of a stored vault, or null when the passphrase is wrong
+     */
+    async function unlockVault(vault, passphrase) {
+        const key = await deriveKey(passphrase, fromBase64(vault.salt), vault.iterations || ITERATIONS);
+        try {
+            return await decrypt(key, vault.check) === CHECK_TEXT ? key : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // ==================== Secrets ====================
+
+    /**
+     * Encrypt a text, with a fresh IV every time
+     */
+    async function encrypt(key, text) {
+        const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+        const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+        return { iv: toBase64(iv), data: toBase64(data) };
+    }
+
+    /**
+     * Decrypt a secret made by encrypt()
+     * Rejects when the key is wrong or the data was tampered with
+     */
+    async function decrypt(key, secret) {
+        const data = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: fromBase64(secret.iv) }, key, fromBase64(secret.data)
+        );
+        return new TextDecoder().decode(data);
+    }
+
+    return {
+        createVault,
+        unlockVault,
+        encrypt,
+        decrypt,
+        toBase64
+    };
+});